@@ -1,98 +1,40 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-
-export default async function handler(req, res) {
-  console.log("🚀 API Handler called!");
-  console.log("📍 Request URL:", req.url);
-  console.log("🔧 Request method:", req.method);
-  console.log("🌍 Environment check - Has GEMINI_API_KEY:", !!process.env.GEMINI_API_KEY);
-  
-  // Set CORS headers
+import express from "express";
+import { connectDB } from "../config/db.js";
+import { chatStreamRouter } from "../routes/chatStream.js";
+
+// Serverless copy of /api/chat, running the same router as the API server so
+// replies get the same context trimming, persistence and X-Stream-Id header.
+// Invocations share no memory, though: resuming or cancelling a reply only
+// works when the request lands on the instance generating it. Anywhere else
+// it gets a 404, which the client takes as nothing to resume or cancel.
+const app = express();
+
+app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Credentials", "true");
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS,PATCH,DELETE,POST,PUT");
-  res.setHeader("Access-Control-Allow-Headers", "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version");
-  
-  if (req.method === "OPTIONS") {
-    res.status(200).end();
-    return;
-  }
-  
-  if (!process.env.GEMINI_API_KEY) {
-    console.error("❌ Missing GEMINI_API_KEY environment variable");
-    return res.status(500).json({ 
-      error: "Missing GEMINI_API_KEY environment variable." 
-    });
-  }
-
+  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS,POST");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    "Authorization, X-Requested-With, Accept, Content-Length, Content-Type, Date",
+  );
+  res.setHeader("Access-Control-Expose-Headers", "X-Stream-Id");
+  if (req.method === "OPTIONS") return res.status(200).end();
+  next();
+});
+app.use(express.json());
+
+// Signed-in callers' chats live in MongoDB; guests don't need it
+app.use(async (req, res, next) => {
+  if (!process.env.MONGODB_URI) return next();
   try {
-    console.log("📦 Parsing request body...");
-    const { messages } = req.body;
-    console.log("✅ Messages received:", messages?.length, "messages");
-
-    if (!messages || !Array.isArray(messages)) {
-      console.error("❌ Invalid messages format");
-      return res.status(400).json({ 
-        error: "Request body must include messages array." 
-      });
-    }
-
-    console.log("🤖 Initializing Gemini AI...");
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-    console.log("✅ Gemini model initialized (gemini-2.5-flash)");
-
-    // Convert OpenAI message format to Gemini format
-    console.log("🔄 Converting message format...");
-    const chatHistory = messages.slice(0, -1).map((msg) => ({
-      role: msg.role === "assistant" ? "model" : "user",
-      parts: [{ text: msg.content }],
-    }));
-
-    const lastMessage = messages[messages.length - 1].content;
-    console.log("💬 Last message:", lastMessage.substring(0, 50) + "...");
-
-    console.log("🚀 Starting chat with history length:", chatHistory.length);
-    const chat = model.startChat({
-      history: chatHistory,
-    });
-
-    console.log("📡 Sending message stream...");
-    const result = await chat.sendMessageStream(lastMessage);
-    console.log("✅ Stream started successfully");
-
-    // Set streaming headers
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
-
-    let chunkCount = 0;
-    console.log("🌊 Starting to stream chunks...");
-    
-    for await (const chunk of result.stream) {
-      const text = chunk.text();
-      chunkCount++;
-      console.log(`📨 Chunk ${chunkCount}:`, text.substring(0, 30) + "...");
-      
-      // Format as Server-Sent Events compatible with AI SDK
-      const data = `0:"${text.replace(/"/g, '\\"').replace(/\n/g, '\\n')}"\n`;
-      res.write(data);
-    }
-    
-    console.log("✅ Stream completed! Total chunks:", chunkCount);
-    res.end();
-    
-  } catch (error) {
-    console.error("❌ Wowziri API error:", error);
-    console.error("Error details:", error.message);
-    console.error("Error stack:", error.stack);
-    
-    if (!res.headersSent) {
-      return res.status(500).json({ 
-        error: "Something went wrong with Wowziri response.", 
-        details: error.message 
-      });
-    }
+    await connectDB();
+    next();
+  } catch (err) {
+    console.error("❌ Failed to connect to MongoDB", err);
+    res.status(500).json({ error: "Database unavailable" });
   }
-}
+});
+
+app.use("/api/chat", chatStreamRouter);
 
-console.log("✅ API route module loaded successfully");
+export default app;
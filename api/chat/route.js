@@ -1,13 +1,25 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getLlmConfig } from "../../config/llm.js";
+import { fitContextWindow } from "../../utils/contextWindow.js";
+import { getProvider, normalizeMessages } from "../../utils/llm/index.js";
+import { buildSystemPrompt } from "../../utils/systemPrompt.js";
+import { DATA_STREAM_HEADERS, encodeDataStream, startStream } from "../../utils/dataStream.js";
 
 export const config = {
   runtime: "edge",
 };
 
+// Edge copy of POST /api/chat. There is no database here, so the history is
+// trimmed to the token budget like a guest's. The reply still gets an
+// X-Stream-Id for the client to use as its message id, but nothing is kept
+// under it: resuming or cancelling it gets a 404, which the client takes as
+// nothing to resume or cancel.
 export default async function handler(req) {
-  if (!process.env.GEMINI_API_KEY) {
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (err) {
     return new Response(
-      JSON.stringify({ error: "Missing GEMINI_API_KEY environment variable." }),
+      JSON.stringify({ error: err.message }),
       {
         status: 500,
         headers: { "Content-Type": "application/json" },
@@ -25,48 +37,38 @@ export default async function handler(req) {
       );
     }
 
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-
-    // Convert OpenAI message format to Gemini format
-    const chatHistory = messages.slice(0, -1).map((msg) => ({
-      role: msg.role === "assistant" ? "model" : "user",
-      parts: [{ text: msg.content }],
-    }));
-
-    const lastMessage = messages[messages.length - 1].content;
+    const { turns } = normalizeMessages(messages);
+    const system = buildSystemPrompt();
+    if (turns.length === 0 || turns[turns.length - 1].role !== "user") {
+      return new Response(
+        JSON.stringify({ error: "Last message must be from the user." }),
+        { status: 400, headers: { "Content-Type": "application/json" } },
+      );
+    }
 
-    const chat = model.startChat({
-      history: chatHistory,
+    const context = await fitContextWindow({
+      provider,
+      turns,
+      budget: getLlmConfig().contextTokens,
     });
-
-    const result = await chat.sendMessageStream(lastMessage);
+    const events = await startStream(provider.streamChat({ messages: context.turns, system }));
 
     // Create a readable stream compatible with Vercel AI SDK
     const encoder = new TextEncoder();
+    const frames = encodeDataStream(events, {
+      onError: (error) => console.error("Streaming error:", error),
+    });
     const stream = new ReadableStream({
       async start(controller) {
-        try {
-          for await (const chunk of result.stream) {
-            const text = chunk.text();
-            // Format as Server-Sent Events compatible with AI SDK
-            const data = `0:"${text.replace(/"/g, '\\"').replace(/\n/g, '\\n')}"\n`;
-            controller.enqueue(encoder.encode(data));
-          }
-          controller.close();
-        } catch (error) {
-          console.error("Streaming error:", error);
-          controller.error(error);
+        for await (const frame of frames) {
+          controller.enqueue(encoder.encode(frame));
         }
+        controller.close();
       },
     });
 
     return new Response(stream, {
-      headers: {
-        "Content-Type": "text/event-stream",
-        "Cache-Control": "no-cache",
-        Connection: "keep-alive",
-      },
+      headers: { ...DATA_STREAM_HEADERS, "X-Stream-Id": crypto.randomUUID() },
     });
   } catch (error) {
     console.error("Wowziri API error:", error);
@@ -0,0 +1,35 @@
+const DEFAULT_MODELS = {
+  gemini: "gemini-2.5-flash",
+  openai: "gpt-4o-mini",
+  mock: "mock-1",
+};
+
+export const SUPPORTED_PROVIDERS = Object.keys(DEFAULT_MODELS);
+
+export function getLlmConfig(env = process.env) {
+  const provider = (env.LLM_PROVIDER || "gemini").trim().toLowerCase();
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unsupported LLM_PROVIDER "${provider}". Expected one of: ${SUPPORTED_PROVIDERS.join(", ")}`,
+    );
+  }
+
+  return {
+    provider,
+    model: env.LLM_MODEL || DEFAULT_MODELS[provider],
+    // Token budget for the conversation history sent with each request
+    contextTokens: Number(env.LLM_CONTEXT_TOKENS) || 8000,
+    gemini: {
+      apiKey: env.GEMINI_API_KEY,
+    },
+    openai: {
+      apiKey: env.OPENAI_API_KEY,
+      // Any OpenAI-compatible endpoint (Groq, Together, Ollama, vLLM...) works here
+      baseURL: env.OPENAI_BASE_URL || undefined,
+    },
+    mock: {
+      // Pause between chunks, to exercise streaming, stop and resume locally
+      delayMs: Number(env.LLM_MOCK_DELAY_MS) || 0,
+    },
+  };
+}
@@ -0,0 +1,17 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getTrashConfig(env = process.env) {
+  return {
+    // How long deleted chats stay restorable before they are purged
+    retentionDays: Number(env.TRASH_RETENTION_DAYS) || 30,
+    purgeIntervalMs: Number(env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+  };
+}
+
+export function getPurgeDate(deletedAt, env = process.env) {
+  return new Date(new Date(deletedAt).getTime() + getTrashConfig(env).retentionDays * DAY_MS);
+}
+
+export function getPurgeCutoff(now = new Date(), env = process.env) {
+  return new Date(now.getTime() - getTrashConfig(env).retentionDays * DAY_MS);
+}
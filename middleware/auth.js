@@ -1,4 +1,5 @@
 import jwt from "jsonwebtoken";
+import { isSessionRevoked } from "../utils/sessions.js";
 
 function extractToken(req) {
   const header = req.headers.authorization;
@@ -18,7 +19,14 @@ export function requireAuth(req, res, next) {
     const accessSecret = process.env.JWT_ACCESS_SECRET;
     if (!accessSecret) throw new Error("Missing JWT_ACCESS_SECRET");
     const decoded = jwt.verify(token, accessSecret);
-    req.user = { id: decoded.sub, email: decoded.email };
+    if (isSessionRevoked(decoded.sid)) throw new Error("Session revoked");
+    // expiresAt lets long-lived responses (event streams) end with the token
+    req.user = {
+      id: decoded.sub,
+      email: decoded.email,
+      sessionId: decoded.sid,
+      expiresAt: decoded.exp * 1000,
+    };
     next();
   } catch (err) {
     return res.status(401).json({ error: "Unauthorized" });
@@ -32,7 +40,9 @@ export function optionalAuth(req, _res, next) {
   if (!accessSecret) return next();
   try {
     const decoded = jwt.verify(token, accessSecret);
-    req.user = { id: decoded.sub, email: decoded.email };
+    if (!isSessionRevoked(decoded.sid)) {
+      req.user = { id: decoded.sub, email: decoded.email, sessionId: decoded.sid };
+    }
   } catch (err) {
     // ignore invalid token for optional auth
   }
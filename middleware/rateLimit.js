@@ -1,11 +1,55 @@
 import rateLimit from "express-rate-limit";
 
-export function createRateLimiter({ windowMs = 15 * 60 * 1000, max = 100, message = "Too many requests" } = {}) {
+export function createRateLimiter({
+  windowMs = 15 * 60 * 1000,
+  max = 100,
+  message = "Too many requests",
+  keyGenerator,
+  skip,
+  skipSuccessfulRequests = false,
+} = {}) {
   return rateLimit({
     windowMs,
     max,
     standardHeaders: true,
     legacyHeaders: false,
-    message,
+    keyGenerator,
+    skip,
+    skipSuccessfulRequests,
+    // Retry-After is set by the library; the body carries it too for clients
+    // that can't read headers
+    handler: (req, res) => {
+      const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+      res.status(429).json({ error: message, retryAfter });
+    },
   });
 }
+
+// Signed-in routes count against the caller's account; the others against
+// the email address they name.
+function accountKey(req) {
+  if (req.user?.id) return `user:${req.user.id}`;
+  const email = req.body?.email;
+  return typeof email === "string" && email.trim() ? `email:${email.trim().toLowerCase()}` : "";
+}
+
+/**
+ * Limits for one auth action: one per client IP and one per account (the
+ * signed-in user, or else the email address in the body), so neither a single
+ * machine nor many machines aimed at one account get unlimited tries. With
+ * `failuresOnly`, successful requests don't count.
+ */
+export function createAuthRateLimiters({ windowMs, perIp, perAccount, failuresOnly = false }) {
+  const message = "Too many attempts.";
+  return [
+    createRateLimiter({ windowMs, max: perIp, message, skipSuccessfulRequests: failuresOnly }),
+    createRateLimiter({
+      windowMs,
+      max: perAccount,
+      message,
+      skipSuccessfulRequests: failuresOnly,
+      keyGenerator: accountKey,
+      skip: (req) => !accountKey(req),
+    }),
+  ];
+}
@@ -1,10 +1,38 @@
 import mongoose, { Schema } from "mongoose";
+import { MAX_CHAT_PROMPT_LENGTH } from "../utils/systemPrompt.js";
 
 const messageSchema = new Schema(
   {
+    // Messages form a tree: regenerated and edited turns are siblings that
+    // share a parentId. Chats saved before this have neither field.
+    id: { type: String },
+    parentId: { type: String },
     role: { type: String, enum: ["user", "assistant", "system"], required: true },
-    content: { type: String, required: true },
+    // Interrupted replies (stopped or failed mid-stream) may be empty
+    content: {
+      type: String,
+      default: "",
+      required: function requireContent() {
+        return !this.interrupted;
+      },
+    },
+    interrupted: { type: Boolean, default: undefined },
     createdAt: { type: Date, default: Date.now },
+    // Set when the content is edited in place, so syncing copies can tell
+    // which version is newer
+    updatedAt: { type: Date, default: undefined },
+  },
+  { _id: false },
+);
+
+const contextSummarySchema = new Schema(
+  {
+    text: { type: String, default: "" },
+    // Number of leading messages the summary stands in for
+    messageCount: { type: Number, default: 0 },
+    // Last summarized message, so a summary isn't reused on another branch
+    lastMessageId: String,
+    updatedAt: Date,
   },
   { _id: false },
 );
@@ -13,9 +41,47 @@ const chatSchema = new Schema(
   {
     userId: { type: Schema.Types.ObjectId, ref: "User", index: true, required: true },
     title: { type: String, default: "New Chat" },
+    // "auto" once the model has named the chat, "manual" once the user has;
+    // a manual title is never replaced.
+    titleSource: { type: String, enum: ["default", "auto", "manual"], default: "default" },
+    systemPrompt: { type: String, default: "", maxlength: MAX_CHAT_PROMPT_LENGTH },
     messages: { type: [messageSchema], default: [] },
+    // Newest message of the branch currently shown
+    activeLeafId: { type: String, default: null },
+    contextSummary: { type: contextSummarySchema, default: undefined },
+    // Sidebar organization
+    folderId: { type: Schema.Types.ObjectId, ref: "Folder", default: null },
+    pinned: { type: Boolean, default: false },
+    tags: { type: [String], default: [] },
+    archived: { type: Boolean, default: false },
+    // Set while the chat is in the trash; purged after the retention period
+    deletedAt: { type: Date, default: null },
+    // Id the chat had in the browser before it was saved, or the source key of
+    // an imported conversation, so uploading the same chat twice can't
+    // duplicate it
+    clientId: { type: String, default: undefined },
+    // Bumped by every write; clients send the version they last saw and get
+    // a 409 if someone else wrote in between.
+    version: { type: Number, default: 0 },
   },
   { timestamps: true },
 );
 
+// Sidebar listing: newest first, with _id breaking ties for the cursor
+chatSchema.index({ userId: 1, updatedAt: -1, _id: -1 });
+chatSchema.index({ userId: 1, archived: 1, pinned: 1, updatedAt: -1, _id: -1 });
+chatSchema.index({ userId: 1, folderId: 1, updatedAt: -1 });
+chatSchema.index({ userId: 1, tags: 1, updatedAt: -1 });
+chatSchema.index(
+  { userId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } },
+);
+chatSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } });
+
+// Full-text search over titles and every message, branches included
+chatSchema.index(
+  { title: "text", "messages.content": "text" },
+  { name: "chat_text", weights: { title: 3, "messages.content": 1 } },
+);
+
 export default mongoose.models.Chat || mongoose.model("Chat", chatSchema);
@@ -0,0 +1,19 @@
+import mongoose, { Schema } from "mongoose";
+
+// Marks a chat that was deleted for good, so GET /api/chats/changes can tell
+// clients to drop it; the chat document itself is gone. Clients reload the
+// whole list when they start, so only ones left open longer than the TTL
+// below could miss a deletion.
+const TOMBSTONE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const deletedChatSchema = new Schema({
+  chatId: { type: Schema.Types.ObjectId, required: true },
+  userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  // Named like the chat field so both collections share the changes cursor
+  updatedAt: { type: Date, default: Date.now },
+});
+
+deletedChatSchema.index({ userId: 1, updatedAt: 1, _id: 1 });
+deletedChatSchema.index({ updatedAt: 1 }, { expireAfterSeconds: TOMBSTONE_TTL_SECONDS });
+
+export default mongoose.models.DeletedChat || mongoose.model("DeletedChat", deletedChatSchema);
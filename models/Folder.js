@@ -0,0 +1,13 @@
+import mongoose, { Schema } from "mongoose";
+
+const folderSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", index: true, required: true },
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+  },
+  { timestamps: true },
+);
+
+folderSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+export default mongoose.models.Folder || mongoose.model("Folder", folderSchema);
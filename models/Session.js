@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+// One sign-in on one device. Its refresh token is rotated on every refresh,
+// and only the current one (and the one just before it, briefly) is accepted;
+// tokens are stored as hashes. A revoked session stays around until it
+// expires so a replayed token is still recognized.
+const sessionSchema = new Schema(
+  {
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    previousTokenHash: { type: String, default: null },
+    rotatedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+    // Where the session was last used from, for the sessions list
+    device: { type: String, default: "Unknown device" },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastSeenAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "reuse", "password-reset", "password-change"],
+      default: undefined,
+    },
+  },
+  { timestamps: true },
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.Session || mongoose.model("Session", sessionSchema);
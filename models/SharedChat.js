@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+
+// A frozen copy of the branch a chat showed when it was shared. Later edits
+// to the chat don't change it; the owner revokes it by deleting it, and it
+// goes when the chat itself is deleted for good.
+const sharedMessageSchema = new Schema(
+  {
+    role: { type: String, enum: ["user", "assistant"], required: true },
+    content: { type: String, default: "" },
+    interrupted: { type: Boolean },
+    createdAt: { type: Date },
+  },
+  { _id: false },
+);
+
+const sharedChatSchema = new Schema(
+  {
+    slug: { type: String, required: true, unique: true },
+    chatId: { type: Schema.Types.ObjectId, ref: "Chat", required: true },
+    userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    title: { type: String, default: "New Chat" },
+    messages: { type: [sharedMessageSchema], default: [] },
+    views: { type: Number, default: 0 },
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+sharedChatSchema.index({ userId: 1, chatId: 1, createdAt: -1 });
+// For removing a chat's snapshots when the trash purge deletes it
+sharedChatSchema.index({ chatId: 1 });
+// MongoDB removes expired snapshots on its own; links without an expiry are
+// skipped by the TTL monitor because their expiresAt isn't a date.
+sharedChatSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.SharedChat || mongoose.model("SharedChat", sharedChatSchema);
@@ -5,6 +5,8 @@ const otpSchema = new mongoose.Schema(
     codeHash: String,
     expiresAt: Date,
     resendAvailableAt: Date,
+    // Wrong guesses against this code; it stops working at the limit
+    attempts: { type: Number, default: 0 },
   },
   { _id: false },
 );
@@ -19,6 +21,12 @@ const userSchema = new mongoose.Schema(
     interests: { type: [String], default: [] },
     emailVerified: { type: Boolean, default: false },
     otp: { type: otpSchema, default: {} },
+    // Kept apart from `otp` so a reset code can't verify an email or the
+    // other way round
+    passwordResetOtp: { type: otpSchema, default: {} },
+    // A new address waiting for its code; `email` changes once it's confirmed
+    pendingEmail: { type: String, lowercase: true, trim: true, default: null },
+    emailChangeOtp: { type: otpSchema, default: {} },
   },
   { timestamps: true },
 );
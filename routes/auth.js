@@ -1,25 +1,61 @@
+import crypto from "crypto";
 import express from "express";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import { body, validationResult } from "express-validator";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
 import { sendOtpEmail } from "../utils/email.js";
 import { requireAuth } from "../middleware/auth.js";
+import { createAuthRateLimiters } from "../middleware/rateLimit.js";
+import {
+  ACCESS_TOKEN_TTL_MS,
+  revokeSessions,
+  rotateSession,
+  saveSession,
+  SESSION_TTL_MS,
+} from "../utils/sessions.js";
 
 const router = express.Router();
 
+const MINUTE_MS = 60 * 1000;
+// Login only counts failures, so signing in often from one place is fine
+const rateLimits = {
+  signup: createAuthRateLimiters({ windowMs: 60 * MINUTE_MS, perIp: 10, perAccount: 5 }),
+  login: createAuthRateLimiters({
+    windowMs: 15 * MINUTE_MS,
+    perIp: 20,
+    perAccount: 10,
+    failuresOnly: true,
+  }),
+  sendCode: createAuthRateLimiters({ windowMs: 15 * MINUTE_MS, perIp: 10, perAccount: 5 }),
+  checkCode: createAuthRateLimiters({ windowMs: 15 * MINUTE_MS, perIp: 30, perAccount: 15 }),
+  changePassword: createAuthRateLimiters({
+    windowMs: 15 * MINUTE_MS,
+    perIp: 10,
+    perAccount: 10,
+    failuresOnly: true,
+  }),
+};
+
 const accessSecret = process.env.JWT_ACCESS_SECRET;
 const refreshSecret = process.env.JWT_REFRESH_SECRET;
 const isProd = process.env.NODE_ENV === "production";
 
-function issueTokens(user) {
+function issueTokens(user, sessionId) {
   if (!accessSecret || !refreshSecret) {
     throw new Error("JWT secrets are missing");
   }
 
-  const payload = { sub: user.id, email: user.email };
-  const accessToken = jwt.sign(payload, accessSecret, { expiresIn: "15m" });
-  const refreshToken = jwt.sign({ ...payload, type: "refresh" }, refreshSecret, { expiresIn: "7d" });
+  const payload = { sub: user.id, email: user.email, sid: sessionId };
+  const accessToken = jwt.sign(payload, accessSecret, { expiresIn: ACCESS_TOKEN_TTL_MS / 1000 });
+  // The jti makes every refresh token unique, even two issued in the same second
+  const refreshToken = jwt.sign(
+    { ...payload, type: "refresh", jti: crypto.randomUUID() },
+    refreshSecret,
+    { expiresIn: "7d" },
+  );
   return { accessToken, refreshToken };
 }
 
@@ -28,10 +64,20 @@ function setRefreshCookie(res, refreshToken) {
     httpOnly: true,
     sameSite: "lax",
     secure: isProd,
-    maxAge: 7 * 24 * 60 * 60 * 1000,
+    maxAge: SESSION_TTL_MS,
   });
 }
 
+// Signs the user in on a new session and sets its refresh cookie. Returns the
+// access token.
+async function startSession(req, res, user) {
+  const session = new Session({ userId: user._id });
+  const { accessToken, refreshToken } = issueTokens(user, session.id);
+  await saveSession(session, refreshToken, req);
+  setRefreshCookie(res, refreshToken);
+  return accessToken;
+}
+
 function clearRefreshCookie(res) {
   res.clearCookie("refreshToken", {
     httpOnly: true,
@@ -49,24 +95,91 @@ function buildUserResponse(user) {
     phone: user.phone,
     interests: user.interests,
     emailVerified: user.emailVerified,
+    pendingEmail: user.pendingEmail ?? null,
     createdAt: user.createdAt,
     updatedAt: user.updatedAt,
   };
 }
 
-async function setOtp(user) {
-  const code = Math.floor(100000 + Math.random() * 900000).toString();
-  console.log(`[OTP] Generated code for ${user.email}: ${code}`);
+// Each kind of one-time code lives in its own User field with its own
+// lifetime and guess limit
+const OTP_PURPOSES = {
+  verify: { field: "otp", ttlMs: 5 * 60 * 1000, maxAttempts: 5 },
+  reset: { field: "passwordResetOtp", ttlMs: 10 * 60 * 1000, maxAttempts: 5 },
+  email: { field: "emailChangeOtp", ttlMs: 10 * 60 * 1000, maxAttempts: 5 },
+};
+const OTP_RESEND_MS = 45 * 1000;
+
+const OTP_ERRORS = {
+  missing: "No active code. Request a new one.",
+  expired: "Code expired. Request a new one.",
+  locked: "Too many incorrect attempts. Request a new code.",
+  invalid: "Invalid code",
+};
+
+// Codes go to the account's address, except email changes, which go to the
+// new one
+async function setOtp(user, purpose = "verify", to = user.email) {
+  const { field, ttlMs } = OTP_PURPOSES[purpose];
+  const code = crypto.randomInt(100000, 1000000).toString();
+  console.log(`[OTP] Generated ${purpose} code for ${to}`);
   const codeHash = await bcrypt.hash(code, 10);
   const now = Date.now();
-  user.otp = {
+  user[field] = {
     codeHash,
-    expiresAt: new Date(now + 5 * 60 * 1000),
-    resendAvailableAt: new Date(now + 45 * 1000),
+    expiresAt: new Date(now + ttlMs),
+    resendAvailableAt: new Date(now + OTP_RESEND_MS),
+    attempts: 0,
   };
   await user.save();
   console.log(`[OTP] Saved hashed code to database for ${user.email}`);
-  await sendOtpEmail({ to: user.email, code });
+  await sendOtpEmail({ to, code, purpose, expiresInMinutes: ttlMs / 60000 });
+}
+
+/**
+ * Checks `code` against the user's active code for `purpose`. Every guess
+ * uses up an attempt before it is compared, so parallel requests can't get
+ * past the limit. Resolves to `{ status, attemptsLeft }` where status is
+ * "ok" or one of the OTP_ERRORS keys.
+ */
+async function checkOtp(user, purpose, code) {
+  const { field, maxAttempts } = OTP_PURPOSES[purpose];
+  const otp = user[field];
+  if (!otp?.codeHash || !otp.expiresAt) return { status: "missing" };
+  if (new Date(otp.expiresAt).getTime() < Date.now()) return { status: "expired" };
+
+  const reserved = await User.updateOne(
+    {
+      _id: user._id,
+      [`${field}.codeHash`]: otp.codeHash,
+      [`${field}.attempts`]: { $not: { $gte: maxAttempts } },
+    },
+    { $inc: { [`${field}.attempts`]: 1 } },
+  );
+  if (reserved.modifiedCount === 0) return { status: "locked" };
+  if (await bcrypt.compare(code, otp.codeHash)) return { status: "ok" };
+  const attemptsLeft = Math.max(0, maxAttempts - (otp.attempts ?? 0) - 1);
+  return { status: attemptsLeft > 0 ? "invalid" : "locked", attemptsLeft };
+}
+
+// 429 with the seconds until `retryAtMs`, in the Retry-After header and body
+function sendRetryLater(res, error, retryAtMs) {
+  const retryAfter = Math.max(1, Math.ceil((retryAtMs - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+// Answers a failed checkOtp. A locked code can be replaced once the resend
+// cooldown is over.
+function rejectOtp(res, user, purpose, { status, attemptsLeft }) {
+  if (status === "locked") {
+    const resendAt = user?.[OTP_PURPOSES[purpose].field]?.resendAvailableAt;
+    return sendRetryLater(res, OTP_ERRORS.locked, resendAt ? new Date(resendAt).getTime() : 0);
+  }
+  return res.status(400).json({
+    error: OTP_ERRORS[status],
+    ...(attemptsLeft !== undefined ? { attemptsLeft } : {}),
+  });
 }
 
 const passwordPolicyMessage = "Password must be at least 8 characters, include a number and a special symbol.";
@@ -80,7 +193,7 @@ const signupValidators = [
   body("password").matches(passwordRegex).withMessage(passwordPolicyMessage),
 ];
 
-router.post("/signup", signupValidators, async (req, res) => {
+router.post("/signup", rateLimits.signup, signupValidators, async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
@@ -120,6 +233,7 @@ router.post("/signup", signupValidators, async (req, res) => {
 
 router.post(
   "/login",
+  rateLimits.login,
   [body("email").isEmail(), body("password").notEmpty()],
   async (req, res) => {
     const errors = validationResult(req);
@@ -139,8 +253,7 @@ router.post(
         return res.status(403).json({ error: "Email not verified", requiresVerification: true });
       }
 
-      const { accessToken, refreshToken } = issueTokens(user);
-      setRefreshCookie(res, refreshToken);
+      const accessToken = await startSession(req, res, user);
       return res.json({ accessToken, user: buildUserResponse(user) });
     } catch (err) {
       console.error("Login error", err);
@@ -151,6 +264,7 @@ router.post(
 
 router.post(
   "/verify-otp",
+  rateLimits.checkCode,
   [body("email").isEmail(), body("code").trim().isLength({ min: 6, max: 6 })],
   async (req, res) => {
     const errors = validationResult(req);
@@ -160,7 +274,7 @@ router.post(
     const { email } = req.body;
     const code = req.body.code?.toString().trim(); // Ensure string and trim whitespace
 
-    console.log(`[OTP] Verification attempt for ${email} with code: "${code}"`);
+    console.log(`[OTP] Verification attempt for ${email}`);
 
     try {
       const user = await User.findOne({ email });
@@ -169,30 +283,16 @@ router.post(
         return res.status(404).json({ error: "User not found" });
       }
 
-      const { otp } = user;
-      if (!otp?.codeHash || !otp.expiresAt) {
-        console.log(`[OTP] No active verification code for ${email}`);
-        return res.status(400).json({ error: "No active verification code" });
-      }
-      if (new Date(otp.expiresAt).getTime() < Date.now()) {
-        console.log(`[OTP] Code expired for ${email}`);
-        return res.status(400).json({ error: "Verification code expired" });
-      }
-
-      const matches = await bcrypt.compare(code, otp.codeHash);
-      console.log(`[OTP] Comparison result for ${email}: ${matches}`);
-
-      if (!matches) {
-        return res.status(400).json({ error: "Invalid verification code" });
-      }
+      const result = await checkOtp(user, "verify", code);
+      console.log(`[OTP] Verification result for ${email}: ${result.status}`);
+      if (result.status !== "ok") return rejectOtp(res, user, "verify", result);
 
       user.emailVerified = true;
       user.otp = {};
       await user.save();
       console.log(`[OTP] Email verified successfully for ${email}`);
 
-      const { accessToken, refreshToken } = issueTokens(user);
-      setRefreshCookie(res, refreshToken);
+      const accessToken = await startSession(req, res, user);
       return res.json({ accessToken, user: buildUserResponse(user) });
     } catch (err) {
       console.error("Verify OTP error", err);
@@ -203,6 +303,7 @@ router.post(
 
 router.post(
   "/request-otp",
+  rateLimits.sendCode,
   [body("email").isEmail()],
   async (req, res) => {
     const errors = validationResult(req);
@@ -215,8 +316,7 @@ router.post(
       if (!user) return res.status(404).json({ error: "User not found" });
       const resendAt = user.otp?.resendAvailableAt ? new Date(user.otp.resendAvailableAt).getTime() : 0;
       if (resendAt && resendAt > Date.now()) {
-        const waitMs = resendAt - Date.now();
-        return res.status(429).json({ error: `Please wait ${Math.ceil(waitMs / 1000)} seconds before resending` });
+        return sendRetryLater(res, "A code was sent moments ago.", resendAt);
       }
       await setOtp(user);
       return res.json({ message: "Verification code sent" });
@@ -227,6 +327,7 @@ router.post(
   },
 );
 
+// Every refresh rotates the refresh token; the one presented stops working.
 router.post("/refresh", async (req, res) => {
   const token = req.cookies.refreshToken;
   if (!token) return res.status(401).json({ error: "No refresh token" });
@@ -234,12 +335,25 @@ router.post("/refresh", async (req, res) => {
     if (!refreshSecret || !accessSecret) throw new Error("Missing JWT secrets");
     const decoded = jwt.verify(token, refreshSecret);
     if (decoded.type !== "refresh") throw new Error("Invalid token type");
+    // Tokens from before sessions were tracked have no sid; sign in again
+    if (!decoded.sid) throw new Error("Refresh token has no session");
 
     const user = await User.findById(decoded.sub);
     if (!user) return res.status(401).json({ error: "Invalid refresh token" });
 
-    const { accessToken, refreshToken } = issueTokens(user);
-    setRefreshCookie(res, refreshToken);
+    const { accessToken, refreshToken } = issueTokens(user, decoded.sid);
+    const result = await rotateSession({
+      sessionId: decoded.sid,
+      userId: user._id,
+      token,
+      nextToken: refreshToken,
+      req,
+    });
+    if (result === "rotated") {
+      setRefreshCookie(res, refreshToken);
+    } else if (result !== "grace") {
+      throw new Error(result === "reused" ? "Refresh token reused" : "Session not found");
+    }
     return res.json({ accessToken, user: buildUserResponse(user) });
   } catch (err) {
     console.error("Refresh error", err.message);
@@ -248,11 +362,162 @@ router.post("/refresh", async (req, res) => {
   }
 });
 
-router.post("/logout", (_req, res) => {
+router.post("/logout", async (req, res) => {
+  const token = req.cookies.refreshToken;
+  if (token && refreshSecret) {
+    try {
+      // An expired token still names the session to close
+      const decoded = jwt.verify(token, refreshSecret, { ignoreExpiration: true });
+      if (mongoose.isValidObjectId(decoded.sid)) {
+        await revokeSessions({ _id: decoded.sid, userId: decoded.sub }, "logout");
+      }
+    } catch (err) {
+      console.error("Logout error", err.message);
+    }
+  }
   clearRefreshCookie(res);
   return res.json({ message: "Logged out" });
 });
 
+function buildSessionResponse(session, currentSessionId) {
+  return {
+    id: session._id,
+    device: session.device,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: String(session._id) === currentSessionId,
+  };
+}
+
+// Devices the user is signed in on, most recently used first
+router.get("/sessions", requireAuth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+    return res.json({
+      sessions: sessions.map((session) => buildSessionResponse(session, req.user.sessionId)),
+    });
+  } catch (err) {
+    console.error("List sessions error", err);
+    return res.status(500).json({ error: "Unable to load sessions" });
+  }
+});
+
+router.delete("/sessions/:id", requireAuth, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  try {
+    const revoked = await revokeSessions({ _id: req.params.id, userId: req.user.id }, "revoked");
+    if (revoked === 0) return res.status(404).json({ error: "Session not found" });
+    if (req.params.id === req.user.sessionId) clearRefreshCookie(res);
+    return res.json({ message: "Session revoked" });
+  } catch (err) {
+    console.error("Revoke session error", err);
+    return res.status(500).json({ error: "Unable to revoke session" });
+  }
+});
+
+// Logs out everywhere, or with keepCurrent everywhere but this device.
+router.post(
+  "/logout-all",
+  requireAuth,
+  [body("keepCurrent").optional().isBoolean().withMessage("keepCurrent must be a boolean")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const keepCurrent = req.body?.keepCurrent === true && Boolean(req.user.sessionId);
+    try {
+      const filter = { userId: req.user.id };
+      if (keepCurrent) filter._id = { $ne: req.user.sessionId };
+      const revoked = await revokeSessions(filter, "logout");
+      if (!keepCurrent) clearRefreshCookie(res);
+      console.log(`🔒 Revoked ${revoked} session(s) for user ${req.user.id}`);
+      return res.json({
+        message: keepCurrent ? "Other sessions signed out" : "Logged out everywhere",
+        revoked,
+      });
+    } catch (err) {
+      console.error("Logout all error", err);
+      return res.status(500).json({ error: "Unable to sign out sessions" });
+    }
+  },
+);
+
+// Emails a password reset code. Answers the same whether or not the account
+// exists, so the form can't be used to find out who has one.
+router.post(
+  "/forgot-password",
+  rateLimits.sendCode,
+  [body("email").isEmail().withMessage("Valid email is required").normalizeEmail()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { email } = req.body;
+    try {
+      const user = await User.findOne({ email });
+      const resendAt = user?.passwordResetOtp?.resendAvailableAt?.getTime() ?? 0;
+      if (user && resendAt <= Date.now()) await setOtp(user, "reset");
+      return res.json({
+        message: "If an account uses that email, a reset code is on its way.",
+        expiresInMinutes: OTP_PURPOSES.reset.ttlMs / 60000,
+      });
+    } catch (err) {
+      console.error("Forgot password error", err);
+      return res.status(500).json({ error: "Unable to send code right now" });
+    }
+  },
+);
+
+// Sets a new password with the emailed code. Every existing session is
+// signed out, and the caller gets a fresh one.
+router.post(
+  "/reset-password",
+  rateLimits.checkCode,
+  [
+    body("email").isEmail().withMessage("Valid email is required").normalizeEmail(),
+    body("code").trim().isLength({ min: 6, max: 6 }).withMessage("Enter the 6-digit code"),
+    body("password").matches(passwordRegex).withMessage(passwordPolicyMessage),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { email, code, password } = req.body;
+    try {
+      const user = await User.findOne({ email });
+      const result = user ? await checkOtp(user, "reset", code) : { status: "missing" };
+      if (result.status !== "ok") return rejectOtp(res, user, "reset", result);
+
+      user.passwordHash = await bcrypt.hash(password, 12);
+      user.passwordResetOtp = {};
+      // The code reached their inbox, which proves the address as well
+      user.emailVerified = true;
+      await user.save();
+      const revoked = await revokeSessions({ userId: user._id }, "password-reset");
+      console.log(`🔑 Password reset for ${email}; ${revoked} session(s) revoked`);
+
+      const accessToken = await startSession(req, res, user);
+      return res.json({ accessToken, user: buildUserResponse(user) });
+    } catch (err) {
+      console.error("Reset password error", err);
+      return res.status(500).json({ error: "Unable to reset password right now" });
+    }
+  },
+);
+
 router.get("/me", requireAuth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
@@ -264,5 +529,199 @@ router.get("/me", requireAuth, async (req, res) => {
   }
 });
 
+const MAX_INTERESTS = 20;
+
+const profileValidators = [
+  body("fullName")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Full name must be 1-100 characters"),
+  body("gender").optional().isIn(["male", "female"]).withMessage("Gender must be male or female"),
+  body("phone")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 30 })
+    .withMessage("Phone must be 5-30 characters"),
+  body("interests")
+    .optional()
+    .isArray({ max: MAX_INTERESTS })
+    .withMessage(`Interests must be an array of at most ${MAX_INTERESTS}`),
+  body("interests.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 40 })
+    .withMessage("Interests must be 1-40 characters"),
+];
+
+// Updates the profile fields present in the body. Email and password have
+// their own endpoints since both need more than a form post.
+router.patch("/me", requireAuth, profileValidators, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  const { fullName, gender, phone, interests } = req.body;
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (phone !== undefined && phone !== user.phone) {
+      if (await User.exists({ phone, _id: { $ne: user._id } })) {
+        return res.status(409).json({ error: "Phone already registered" });
+      }
+      user.phone = phone;
+    }
+    if (fullName !== undefined) user.fullName = fullName;
+    if (gender !== undefined) user.gender = gender;
+    if (interests !== undefined) {
+      user.interests = [...new Set(interests.filter(Boolean))];
+    }
+    await user.save();
+    return res.json({ user: buildUserResponse(user) });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: "Phone already registered" });
+    console.error("Update profile error", err);
+    return res.status(500).json({ error: "Unable to update profile" });
+  }
+});
+
+// Needs the current password. Other sessions are signed out; this one stays.
+router.post(
+  "/change-password",
+  requireAuth,
+  rateLimits.changePassword,
+  [
+    body("currentPassword").isString().notEmpty().withMessage("Current password is required"),
+    body("newPassword").matches(passwordRegex).withMessage(passwordPolicyMessage),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { currentPassword, newPassword } = req.body;
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      // 400 rather than 401, which clients take to mean the token expired
+      if (!(await bcrypt.compare(currentPassword, user.passwordHash))) {
+        return res.status(400).json({ error: "Current password is incorrect" });
+      }
+
+      user.passwordHash = await bcrypt.hash(newPassword, 12);
+      await user.save();
+      const filter = { userId: user._id };
+      if (req.user.sessionId) filter._id = { $ne: req.user.sessionId };
+      const revoked = await revokeSessions(filter, "password-change");
+      console.log(`🔑 Password changed for ${user.email}; ${revoked} other session(s) revoked`);
+      return res.json({ message: "Password changed", revokedSessions: revoked });
+    } catch (err) {
+      console.error("Change password error", err);
+      return res.status(500).json({ error: "Unable to change password" });
+    }
+  },
+);
+
+// Starts an email change: the new address gets a code and only replaces the
+// current one once that code comes back. Needs the password, since whoever
+// controls the email can reset it.
+router.post(
+  "/email-change",
+  requireAuth,
+  rateLimits.sendCode,
+  [
+    body("email").isEmail().withMessage("Valid email is required").normalizeEmail(),
+    body("password").isString().notEmpty().withMessage("Password is required"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { email, password } = req.body;
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (!(await bcrypt.compare(password, user.passwordHash))) {
+        return res.status(400).json({ error: "Password is incorrect" });
+      }
+      if (email === user.email) {
+        return res.status(400).json({ error: "That's already your email" });
+      }
+      if (await User.exists({ email })) {
+        return res.status(409).json({ error: "Email already registered" });
+      }
+
+      const resendAt = user.emailChangeOtp?.resendAvailableAt?.getTime() ?? 0;
+      if (user.pendingEmail === email && resendAt > Date.now()) {
+        return sendRetryLater(res, "A code was sent moments ago.", resendAt);
+      }
+      user.pendingEmail = email;
+      await setOtp(user, "email", email);
+      return res.json({
+        message: `We sent a code to ${email}.`,
+        expiresInMinutes: OTP_PURPOSES.email.ttlMs / 60000,
+        user: buildUserResponse(user),
+      });
+    } catch (err) {
+      console.error("Email change error", err);
+      return res.status(500).json({ error: "Unable to start email change" });
+    }
+  },
+);
+
+router.post(
+  "/email-change/verify",
+  requireAuth,
+  rateLimits.checkCode,
+  [body("code").trim().isLength({ min: 6, max: 6 }).withMessage("Enter the 6-digit code")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (!user.pendingEmail) {
+        return res.status(400).json({ error: "No email change in progress" });
+      }
+      const result = await checkOtp(user, "email", req.body.code);
+      if (result.status !== "ok") return rejectOtp(res, user, "email", result);
+
+      const previous = user.email;
+      user.email = user.pendingEmail;
+      user.emailVerified = true;
+      user.pendingEmail = null;
+      user.emailChangeOtp = {};
+      await user.save();
+      console.log(`📧 Email changed from ${previous} to ${user.email}`);
+      return res.json({ user: buildUserResponse(user) });
+    } catch (err) {
+      // Someone else signed up with the address in the meantime
+      if (err.code === 11000) return res.status(409).json({ error: "Email already registered" });
+      console.error("Verify email change error", err);
+      return res.status(500).json({ error: "Unable to change email" });
+    }
+  },
+);
+
+// Drops a pending email change; the current address stays.
+router.delete("/email-change", requireAuth, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user.id },
+      { $set: { pendingEmail: null, emailChangeOtp: {} } },
+    );
+    return res.json({ message: "Email change cancelled" });
+  } catch (err) {
+    console.error("Cancel email change error", err);
+    return res.status(500).json({ error: "Unable to cancel email change" });
+  }
+});
+
 export default router;
 
@@ -1,55 +1,272 @@
+import crypto from "crypto";
 import express from "express";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import mongoose from "mongoose";
+import Chat from "../models/Chat.js";
+import User from "../models/User.js";
 import { optionalAuth } from "../middleware/auth.js";
+import { getLlmConfig } from "../config/llm.js";
+import { fitContextWindow } from "../utils/contextWindow.js";
+import { getProvider, normalizeMessages } from "../utils/llm/index.js";
+import { buildSystemPrompt } from "../utils/systemPrompt.js";
+import {
+  DATA_STREAM_HEADERS,
+  encodeDataStream,
+  startStream,
+} from "../utils/dataStream.js";
+import { cancelStream, registerStream, subscribeStream } from "../utils/activeStreams.js";
+import { getActivePath, normalizeTree } from "../utils/chatTree.js";
+import { autoTitleChat, needsTitle } from "../utils/chatTitle.js";
+import { publishChatEvent } from "../utils/chatEvents.js";
 
 export const chatStreamRouter = express.Router();
 
-chatStreamRouter.post("/", optionalAuth, async (req, res) => {
-  if (!process.env.GEMINI_API_KEY) {
-    console.error("❌ Missing GEMINI_API_KEY environment variable");
-    return res.status(500).json({ error: "Missing GEMINI_API_KEY environment variable." });
+function findOwnedChat(chatId, userId) {
+  if (!mongoose.isValidObjectId(chatId)) return null;
+  return Chat.findOne({ _id: chatId, userId, deletedAt: null })
+    .select("title titleSource systemPrompt contextSummary messages activeLeafId")
+    .lean();
+}
+
+// Attaches a response to a buffered generation from byte `offset` onwards.
+// Returns false when the stream is unknown to this caller.
+function pipeStream(res, streamId, { userId, offset = 0 }) {
+  const start = () => {
+    if (res.headersSent) return;
+    res.set({ ...DATA_STREAM_HEADERS, "X-Stream-Id": streamId });
+    res.flushHeaders();
+  };
+  const unsubscribe = subscribeStream(
+    streamId,
+    { userId, offset },
+    {
+      onData: (chunk) => {
+        start();
+        res.write(chunk);
+      },
+      onEnd: () => {
+        start();
+        res.end();
+      },
+    },
+  );
+  if (!unsubscribe) return false;
+  start();
+  // A dropped connection only detaches; the generation keeps going for a
+  // grace period in case the client comes back to resume it.
+  res.on("close", unsubscribe);
+  // The caller may have left while the reply was being prepared, in which
+  // case "close" has already fired
+  if (res.destroyed) unsubscribe();
+  return true;
+}
+
+/**
+ * Adds the user turn that ends `turns` to the chat tree unless it is already
+ * there (a regeneration), linked to its explicit `parentId` or else to the
+ * turn before it. Chats saved before messages had ids are rewritten with
+ * their inferred ids first.
+ */
+async function persistUserTurn(chat, userId, turns) {
+  const tree = normalizeTree(chat.messages);
+  if (chat.messages.some((message) => !message.id)) {
+    await Chat.updateOne(
+      { _id: chat._id, userId },
+      { $set: { messages: tree }, $inc: { version: 1 } },
+    );
+  }
+
+  const userTurn = turns[turns.length - 1];
+  const known = new Set(tree.map((node) => node.id));
+  if (known.has(userTurn.id)) {
+    await Chat.updateOne(
+      { _id: chat._id, userId },
+      { $set: { activeLeafId: userTurn.id }, $inc: { version: 1 } },
+    );
+    publishChatEvent(userId, "updated", chat._id);
+    return;
+  }
+
+  let parentId = userTurn.parentId;
+  if (parentId === undefined) {
+    parentId = turns.length > 1 ? turns[turns.length - 2].id : null;
+  }
+  if (parentId && !known.has(parentId)) {
+    // The client's history doesn't match ours; hang the turn off our branch
+    parentId = getActivePath(tree, chat.activeLeafId).at(-1)?.id ?? null;
+  }
+  await Chat.updateOne(
+    { _id: chat._id, userId },
+    {
+      $push: { messages: { id: userTurn.id, parentId, role: "user", content: userTurn.content } },
+      $set: { activeLeafId: userTurn.id },
+      $inc: { version: 1 },
+    },
+  );
+  publishChatEvent(userId, "updated", chat._id);
+}
+
+/**
+ * Generates and streams the assistant reply to the user turn that ends
+ * `turns`. With a `chat` (signed-in callers only) both turns are saved into
+ * its message tree; the reply is stored under the stream id, which the client
+ * also receives in the X-Stream-Id header and uses as the message id.
+ */
+async function streamReply(req, res, { provider, chat = null, turns }) {
+  const userId = req.user?.id;
+  turns[turns.length - 1].id ||= crypto.randomUUID();
+  const userTurn = turns[turns.length - 1];
+
+  const user = userId ? await User.findById(userId).select("fullName interests").lean() : null;
+  if (chat) {
+    await persistUserTurn(chat, userId, turns);
   }
 
+  const stream = registerStream({ userId });
+
   try {
-    const { messages } = req.body;
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: "Request body must include messages array." });
+    // Persisted chats keep a rolling summary of older turns; anonymous callers
+    // just get the oldest turns trimmed.
+    const context = await fitContextWindow({
+      provider,
+      turns,
+      summary: chat?.contextSummary,
+      budget: getLlmConfig().contextTokens,
+      canSummarize: Boolean(chat),
+      signal: stream.signal,
+    });
+    if (context.summaryChanged) {
+      await Chat.updateOne(
+        { _id: chat._id, userId },
+        { $set: { contextSummary: { ...context.summary, updatedAt: new Date() } } },
+      ).catch((err) => console.error("❌ Unable to store context summary:", err));
     }
+    const system = buildSystemPrompt({ user, chat, summary: context.summary });
+
+    const events = await startStream(
+      provider.streamChat({ messages: context.turns, system, signal: stream.signal }),
+    );
+
+    pipeStream(res, stream.id, { userId });
 
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    let reply = "";
+    let failed = false;
+    const frames = encodeDataStream(events, {
+      signal: stream.signal,
+      onText: (text) => {
+        reply += text;
+      },
+      onError: (err) => {
+        failed = true;
+        console.error("❌ Wowziri stream error:", err);
+      },
+    });
+    for await (const frame of frames) {
+      stream.push(frame);
+    }
+
+    const interrupted = failed || stream.signal.aborted;
+    stream.end();
+
+    if (chat && (reply || interrupted)) {
+      const message = {
+        id: stream.id,
+        parentId: userTurn.id,
+        role: "assistant",
+        content: reply,
+        ...(interrupted ? { interrupted: true } : {}),
+      };
+      await Chat.updateOne(
+        { _id: chat._id, userId },
+        {
+          $push: { messages: message },
+          $set: { activeLeafId: stream.id },
+          $inc: { version: 1 },
+        },
+      )
+        .then(() => publishChatEvent(userId, "updated", chat._id))
+        .catch((err) => console.error("❌ Unable to persist assistant reply:", err));
+    }
+    // The first exchange of a chat gets a generated title. It's made after the
+    // reply has ended and reaches the client as a "renamed" chat event.
+    if (chat && reply && !interrupted && turns.length === 1 && needsTitle(chat)) {
+      autoTitleChat({
+        provider,
+        chatId: chat._id,
+        userId,
+        turns: [userTurn, { role: "assistant", content: reply }],
+      });
+    }
+  } finally {
+    stream.end();
+  }
+}
 
-    const chatHistory = messages.slice(0, -1).map((msg) => ({
-      role: msg.role === "assistant" ? "model" : "user",
-      parts: [{ text: msg.content }],
-    }));
+function resolveProvider(res) {
+  try {
+    return getProvider();
+  } catch (err) {
+    console.error("❌ LLM provider misconfigured:", err.message);
+    res.status(500).json({ error: err.message });
+    return null;
+  }
+}
 
-    const lastMessage = messages[messages.length - 1].content;
-    const chat = model.startChat({
-      history: chatHistory,
+function handleStreamError(res, error) {
+  console.error("❌ Wowziri API error:", error);
+  if (!res.headersSent) {
+    return res.status(500).json({
+      error: "Something went wrong with Wowziri response.",
+      details: error.message,
     });
+  }
+}
 
-    const result = await chat.sendMessageStream(lastMessage);
+chatStreamRouter.post("/", optionalAuth, async (req, res) => {
+  const provider = resolveProvider(res);
+  if (!provider) return;
 
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
+  try {
+    const { messages } = req.body;
+    if (!messages || !Array.isArray(messages)) {
+      return res.status(400).json({ error: "Request body must include messages array." });
+    }
 
-    for await (const chunk of result.stream) {
-      const text = chunk.text();
-      const data = `0:"${text.replace(/"/g, '\\"').replace(/\n/g, "\\n")}"\n`;
-      res.write(data);
+    // Client-sent system messages are ignored: the instruction is built server-side
+    const { turns } = normalizeMessages(messages);
+    if (turns.length === 0 || turns[turns.length - 1].role !== "user") {
+      return res.status(400).json({ error: "Last message must be from the user." });
     }
 
-    res.end();
-  } catch (error) {
-    console.error("❌ Wowziri API error:", error);
-    if (!res.headersSent) {
-      return res.status(500).json({
-        error: "Something went wrong with Wowziri response.",
-        details: error.message,
-      });
+    // Only signed-in callers that name one of their own chats get server-side
+    // persistence; everyone else keeps the stateless behavior.
+    const chatId = req.user ? req.body.chatId : null;
+    if (chatId && !mongoose.isObjectIdOrHexString(chatId)) {
+      return res.status(400).json({ error: "Invalid chat id" });
+    }
+    const chat = chatId ? await findOwnedChat(chatId, req.user.id) : null;
+    if (chatId && !chat) {
+      return res.status(404).json({ error: "Chat not found" });
     }
+
+    await streamReply(req, res, { provider, chat, turns });
+  } catch (error) {
+    handleStreamError(res, error);
   }
 });
 
+chatStreamRouter.get("/:streamId", optionalAuth, (req, res) => {
+  const offset = Number(req.query.offset ?? 0);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: "offset must be a non-negative integer" });
+  }
+
+  if (!pipeStream(res, req.params.streamId, { userId: req.user?.id, offset })) {
+    return res.status(404).json({ error: "Stream not found" });
+  }
+});
+
+chatStreamRouter.post("/:streamId/cancel", optionalAuth, (req, res) => {
+  const cancelled = cancelStream(req.params.streamId, req.user?.id);
+  if (!cancelled) return res.status(404).json({ error: "Stream not found" });
+  return res.json({ message: "Generation cancelled" });
+});
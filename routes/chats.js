@@ -1,25 +1,485 @@
+import crypto from "crypto";
+import archiver from "archiver";
 import express from "express";
-import { body, validationResult } from "express-validator";
+import mongoose from "mongoose";
+import { body, param, query, validationResult } from "express-validator";
 import Chat from "../models/Chat.js";
+import DeletedChat from "../models/DeletedChat.js";
+import Folder from "../models/Folder.js";
+import SharedChat from "../models/SharedChat.js";
 import { requireAuth } from "../middleware/auth.js";
+import { MAX_CHAT_PROMPT_LENGTH } from "../utils/systemPrompt.js";
+import { getProvider, normalizeMessages } from "../utils/llm/index.js";
+import {
+  findNode,
+  getActivePath,
+  getLatestLeaf,
+  getSubtreeIds,
+  normalizeTree,
+} from "../utils/chatTree.js";
+import { buildSnippet, buildTermPattern, getSearchTerms } from "../utils/searchSnippet.js";
+import { getPurgeDate } from "../config/trash.js";
+import { EXPORT_FORMATS, getExportFileName } from "../utils/chatExport.js";
+import { IMPORT_FORMATS, parseImport } from "../utils/chatImport.js";
+import { autoTitleChat, needsTitle } from "../utils/chatTitle.js";
+import { publishChatEvent } from "../utils/chatEvents.js";
 
 const router = express.Router();
 
 const messageValidator = body("messages").isArray().withMessage("Messages must be an array");
+const systemPromptValidator = body("systemPrompt")
+  .optional()
+  .isString()
+  .isLength({ max: MAX_CHAT_PROMPT_LENGTH })
+  .withMessage(`System prompt must be at most ${MAX_CHAT_PROMPT_LENGTH} characters`);
+const MAX_TAGS = 20;
+const organizationValidators = [
+  body("folderId")
+    .optional({ values: "null" })
+    .custom((value) => mongoose.isValidObjectId(value))
+    .withMessage("Invalid folder"),
+  body("pinned").optional().isBoolean().withMessage("Pinned must be a boolean"),
+  body("archived").optional().isBoolean().withMessage("Archived must be a boolean"),
+  body("tags")
+    .optional()
+    .isArray({ max: MAX_TAGS })
+    .withMessage(`Tags must be an array of at most ${MAX_TAGS}`),
+  body("tags.*")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage("Tags must be 1-30 characters"),
+];
 
-router.get("/", requireAuth, async (req, res) => {
+// Tags are matched case-insensitively, so they're stored lowercased
+function normalizeTags(tags) {
+  return [...new Set(tags.map((tag) => tag.trim().toLowerCase()))];
+}
+
+// Picks the organization fields present in the body. Resolves to null when
+// the folder isn't one of the caller's.
+async function readOrganization(req) {
+  const { folderId, pinned, archived, tags } = req.body;
+  const fields = {};
+  if (folderId !== undefined) {
+    if (folderId && !(await Folder.exists({ _id: folderId, userId: req.user.id }))) return null;
+    fields.folderId = folderId || null;
+  }
+  if (pinned !== undefined) fields.pinned = pinned;
+  if (archived !== undefined) fields.archived = archived;
+  if (Array.isArray(tags)) fields.tags = normalizeTags(tags);
+  return fields;
+}
+
+const versionMessage = "Version must be a non-negative integer";
+const versionValidator = body("version").optional().isInt({ min: 0 }).withMessage(versionMessage);
+const idValidator = param("id").isMongoId().withMessage("Invalid chat id");
+
+// The caller's chat named in the URL, unless it's in the trash
+function ownChatFilter(req) {
+  return { _id: req.params.id, userId: req.user.id, deletedAt: null };
+}
+
+// The chat version the client last saw, if it sent one (DELETE takes it from
+// the query string).
+function getExpectedVersion(req) {
+  const version = req.body?.version ?? req.query.version;
+  return version === undefined ? undefined : Number(version);
+}
+
+// Applies `update` to one of the caller's chats if it still matches
+// `conditions` and the expected version. Every write bumps the version and is
+// announced to the user's other sessions. When nothing matched, `current`
+// holds the chat as it is now (or null).
+async function updateChat(req, conditions, update, options = {}) {
+  const filter = { ...ownChatFilter(req), ...conditions };
+  const version = getExpectedVersion(req);
+  if (version !== undefined) filter.version = version;
+
+  const chat = await Chat.findOneAndUpdate(
+    filter,
+    { ...update, $inc: { version: 1 } },
+    { new: true, ...options },
+  );
+  if (chat) {
+    publishChatEvent(req.user.id, "updated", chat._id, { version: chat.version });
+    return { chat };
+  }
+  const current = await Chat.findOne(ownChatFilter(req))
+    .select("version messages.id")
+    .lean();
+  return { current };
+}
+
+// Responds for an update that matched nothing: missing chat, stale version,
+// or else whatever `explain` makes of the route's own conditions.
+function rejectUpdate(req, res, current, explain) {
+  if (!current) return res.status(404).json({ error: "Chat not found" });
+  const version = getExpectedVersion(req);
+  if (version !== undefined && current.version !== version) {
+    return res.status(409).json({
+      error: "Chat was changed in another session",
+      version: current.version,
+    });
+  }
+  if (!explain) return res.status(409).json({ error: "Chat was changed in another session" });
+  return explain(current);
+}
+
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const PREVIEW_LENGTH = 120;
+
+// Cursors are opaque to clients: the updatedAt and _id of the last chat on
+// the previous page.
+function encodeCursor(chat) {
+  return Buffer.from(`${chat.updatedAt.toISOString()}|${chat._id}`).toString("base64url");
+}
+
+// Cursor order: by updatedAt, then _id
+function compareChanges(a, b) {
+  return a.updatedAt - b.updatedAt || String(a._id).localeCompare(String(b._id));
+}
+
+function decodeCursor(cursor) {
+  const [updatedAt, id] = Buffer.from(cursor, "base64url").toString().split("|");
+  const date = new Date(updatedAt);
+  if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) return null;
+  return { updatedAt: date, _id: new mongoose.Types.ObjectId(id) };
+}
+
+// Names a chat from its first exchange unless the user already named it. The
+// title is generated in the background and reaches clients as a "renamed"
+// chat event, so the request doesn't wait on the model.
+function titleNewExchange(chat, path) {
+  if (!needsTitle(chat)) return;
+  const { turns } = normalizeMessages(path);
+  if (turns[0]?.role !== "user" || turns[1]?.role !== "assistant") return;
+  let provider;
   try {
-    const chats = await Chat.find({ userId: req.user.id }).sort({ updatedAt: -1 }).limit(50);
-    return res.json({ chats });
+    provider = getProvider();
   } catch (err) {
-    console.error("Get chats error", err);
-    return res.status(500).json({ error: "Unable to load chats" });
+    return;
+  }
+  autoTitleChat({ provider, chatId: chat._id, userId: chat.userId, turns });
+}
+
+const SUMMARY_PROJECTION = {
+  clientId: 1,
+  title: 1,
+  folderId: 1,
+  pinned: 1,
+  tags: 1,
+  archived: 1,
+  deletedAt: 1,
+  version: 1,
+  createdAt: 1,
+  updatedAt: 1,
+  messageCount: { $size: "$messages" },
+  // The preview follows the branch being shown
+  lastMessage: {
+    $ifNull: [
+      {
+        $arrayElemAt: [
+          {
+            $filter: {
+              input: "$messages",
+              cond: { $eq: ["$$this.id", "$activeLeafId"] },
+            },
+          },
+          0,
+        ],
+      },
+      { $arrayElemAt: ["$messages", -1] },
+    ],
+  },
+};
+
+function toChatSummary(chat) {
+  return {
+    id: chat._id,
+    // Lets the browser that created a chat recognize it before it has the id
+    ...(chat.clientId ? { clientId: chat.clientId } : {}),
+    title: chat.title,
+    preview: chat.lastMessage
+      ? {
+          role: chat.lastMessage.role,
+          content: (chat.lastMessage.content || "").slice(0, PREVIEW_LENGTH),
+        }
+      : null,
+    messageCount: chat.messageCount,
+    folderId: chat.folderId ?? null,
+    pinned: Boolean(chat.pinned),
+    tags: chat.tags ?? [],
+    archived: Boolean(chat.archived),
+    ...(chat.deletedAt ? { deletedAt: chat.deletedAt, purgeAt: getPurgeDate(chat.deletedAt) } : {}),
+    version: chat.version ?? 0,
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+  };
+}
+
+// Lists chat summaries, newest first, without their message history.
+router.get(
+  "/",
+  requireAuth,
+  [
+    query("limit").optional().isInt({ min: 1, max: MAX_PAGE_SIZE }),
+    query("cursor").optional().isString(),
+    query("archived").optional().isIn(["true", "false"]),
+    query("pinned").optional().isIn(["true", "false"]),
+    query("folderId")
+      .optional()
+      .custom((value) => value === "none" || mongoose.isValidObjectId(value))
+      .withMessage("Invalid folder"),
+    query("tag").optional().isString(),
+    query("trashed").optional().isIn(["true", "false"]),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const limit = Number(req.query.limit ?? PAGE_SIZE);
+    const { archived, pinned, folderId, tag, trashed } = req.query;
+    const match = { userId: new mongoose.Types.ObjectId(req.user.id) };
+    if (trashed === "true") {
+      match.deletedAt = { $ne: null };
+    } else {
+      match.deletedAt = null;
+      // Archived chats only show up when asked for
+      match.archived = archived === "true" ? true : { $ne: true };
+    }
+    if (pinned) match.pinned = pinned === "true" ? true : { $ne: true };
+    if (folderId) {
+      match.folderId = folderId === "none" ? null : new mongoose.Types.ObjectId(folderId);
+    }
+    if (tag) match.tags = tag.trim().toLowerCase();
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ error: "Invalid cursor" });
+      match.$or = [
+        { updatedAt: { $lt: cursor.updatedAt } },
+        { updatedAt: cursor.updatedAt, _id: { $lt: cursor._id } },
+      ];
+    }
+
+    try {
+      const rows = await Chat.aggregate([
+        { $match: match },
+        { $sort: { updatedAt: -1, _id: -1 } },
+        { $limit: limit + 1 },
+        { $project: SUMMARY_PROJECTION },
+      ]);
+
+      const page = rows.slice(0, limit);
+      const chats = page.map(toChatSummary);
+      const nextCursor = rows.length > limit ? encodeCursor(page[page.length - 1]) : null;
+      return res.json({ chats, nextCursor });
+    } catch (err) {
+      console.error("Get chats error", err);
+      return res.status(500).json({ error: "Unable to load chats" });
+    }
+  },
+);
+
+// Chats changed after `since` (a cursor from an earlier call), oldest change
+// first and trashed chats included, so a client can bring its local copy up
+// to date. Chats deleted for good since then come back as ids in `deleted`.
+// Without `since` nothing is listed; the cursor returned marks the current
+// state, for clients that just loaded the full list.
+router.get(
+  "/changes",
+  requireAuth,
+  [
+    query("since").optional().isString(),
+    query("limit").optional().isInt({ min: 1, max: MAX_PAGE_SIZE }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    try {
+      if (!req.query.since) {
+        const [latest, latestDeleted] = await Promise.all(
+          [Chat, DeletedChat].map((model) =>
+            model.findOne({ userId }).sort({ updatedAt: -1, _id: -1 }).select("updatedAt").lean(),
+          ),
+        );
+        const newest = [latest, latestDeleted].filter(Boolean).sort(compareChanges).at(-1);
+        return res.json({ changes: [], deleted: [], cursor: newest ? encodeCursor(newest) : null });
+      }
+
+      const since = decodeCursor(req.query.since);
+      if (!since) return res.status(400).json({ error: "Invalid cursor" });
+      const limit = Number(req.query.limit ?? MAX_PAGE_SIZE);
+      // Both collections are read past the same cursor and merged, so a page
+      // may mix edits and deletions in the order they happened
+      const after = {
+        userId,
+        $or: [
+          { updatedAt: { $gt: since.updatedAt } },
+          { updatedAt: since.updatedAt, _id: { $gt: since._id } },
+        ],
+      };
+      const [chatRows, deletedRows] = await Promise.all([
+        Chat.aggregate([
+          { $match: after },
+          { $sort: { updatedAt: 1, _id: 1 } },
+          { $limit: limit + 1 },
+          { $project: SUMMARY_PROJECTION },
+        ]),
+        DeletedChat.find(after)
+          .sort({ updatedAt: 1, _id: 1 })
+          .limit(limit + 1)
+          .select("chatId updatedAt")
+          .lean(),
+      ]);
+      const rows = [...chatRows, ...deletedRows].sort(compareChanges);
+      const page = rows.slice(0, limit);
+      return res.json({
+        changes: page.filter((row) => !row.chatId).map(toChatSummary),
+        deleted: page.filter((row) => row.chatId).map((row) => String(row.chatId)),
+        cursor: page.length > 0 ? encodeCursor(page[page.length - 1]) : req.query.since,
+        hasMore: rows.length > limit,
+      });
+    } catch (err) {
+      console.error("Get chat changes error", err);
+      return res.status(500).json({ error: "Unable to load changes" });
+    }
+  },
+);
+
+// Every tag in use, for the sidebar's tag filter
+router.get("/tags", requireAuth, async (req, res) => {
+  try {
+    const tags = await Chat.distinct("tags", { userId: req.user.id, deletedAt: null });
+    return res.json({ tags: tags.sort() });
+  } catch (err) {
+    console.error("Get tags error", err);
+    return res.status(500).json({ error: "Unable to load tags" });
+  }
+});
+
+const SEARCH_LIMIT = 20;
+const MATCHES_PER_CHAT = 3;
+
+router.get(
+  "/search",
+  requireAuth,
+  [query("q").isString().trim().isLength({ min: 1, max: 200 }).withMessage("Query is required")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const q = req.query.q.trim();
+    try {
+      const chats = await Chat.find(
+        { userId: req.user.id, deletedAt: null, $text: { $search: q } },
+        { score: { $meta: "textScore" }, title: 1, messages: 1, updatedAt: 1 },
+      )
+        .sort({ score: { $meta: "textScore" } })
+        .limit(SEARCH_LIMIT)
+        .lean();
+
+      const pattern = buildTermPattern(getSearchTerms(q));
+      const results = chats.map((chat) => {
+        const matches = [];
+        for (const message of normalizeTree(chat.messages)) {
+          if (matches.length === MATCHES_PER_CHAT) break;
+          const hit = buildSnippet(message.content, pattern);
+          if (hit) matches.push({ messageId: message.id, role: message.role, ...hit });
+        }
+        return {
+          chatId: chat._id,
+          title: chat.title,
+          titleHighlights:
+            buildSnippet(chat.title, pattern, { radius: Infinity })?.highlights ?? [],
+          updatedAt: chat.updatedAt,
+          score: chat.score,
+          matches,
+        };
+      });
+      return res.json({ results });
+    } catch (err) {
+      console.error("Search chats error", err);
+      return res.status(500).json({ error: "Unable to search chats" });
+    }
+  },
+);
+
+const exportFormatValidator = query("format")
+  .optional()
+  .isIn(Object.keys(EXPORT_FORMATS))
+  .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+
+// Every chat outside the trash as one zip, one file per chat.
+router.get("/export", requireAuth, [exportFormatValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  const format = EXPORT_FORMATS[req.query.format || "md"];
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("error", (err) => {
+    console.error("Export archive error", err);
+    res.destroy(err);
+  });
+
+  try {
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="wowziri-chats-${format.extension}.zip"`,
+    });
+    archive.pipe(res);
+    const cursor = Chat.find({ userId: req.user.id, deletedAt: null })
+      .sort({ updatedAt: -1 })
+      .lean()
+      .cursor();
+    for await (const chat of cursor) {
+      // The id keeps names unique when titles repeat
+      const name = getExportFileName(chat, format.extension).replace(/(\.\w+)$/, `-${chat._id}$1`);
+      archive.append(format.render(chat), { name, date: chat.updatedAt });
+    }
+    await archive.finalize();
+  } catch (err) {
+    console.error("Export chats error", err);
+    if (!res.headersSent) return res.status(500).json({ error: "Unable to export chats" });
+    archive.abort();
+    res.destroy(err);
+  }
+});
+
+router.get("/:id/export", requireAuth, [idValidator, exportFormatValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  const format = EXPORT_FORMATS[req.query.format || "md"];
+  try {
+    const chat = await Chat.findOne(ownChatFilter(req)).lean();
+    if (!chat) return res.status(404).json({ error: "Chat not found" });
+    res.set({
+      "Content-Type": format.contentType,
+      "Content-Disposition": `attachment; filename="${getExportFileName(chat, format.extension)}"`,
+    });
+    return res.send(format.render(chat));
+  } catch (err) {
+    console.error("Export chat error", err);
+    return res.status(500).json({ error: "Unable to export chat" });
   }
 });
 
-router.get("/:id", requireAuth, async (req, res) => {
+router.get("/:id", requireAuth, [idValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
   try {
-    const chat = await Chat.findOne({ _id: req.params.id, userId: req.user.id });
+    const chat = await Chat.findOne(ownChatFilter(req));
     if (!chat) return res.status(404).json({ error: "Chat not found" });
     return res.json({ chat });
   } catch (err) {
@@ -31,21 +491,46 @@ router.get("/:id", requireAuth, async (req, res) => {
 router.post(
   "/",
   requireAuth,
-  [body("title").optional().isString(), messageValidator.optional()],
+  [
+    body("clientId").optional().isString().isLength({ min: 1, max: 64 }),
+    body("title").optional().isString(),
+    messageValidator.optional(),
+    systemPromptValidator,
+    body("activeLeafId").optional({ values: "null" }).isString(),
+    ...organizationValidators,
+  ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    const { title = "New Chat", messages = [] } = req.body;
+    const { clientId, title, messages = [], systemPrompt = "", activeLeafId = null } = req.body;
     try {
+      // Creating the same browser chat again returns the copy already saved
+      if (clientId) {
+        const existing = await Chat.findOne({ userId: req.user.id, clientId });
+        if (existing) return res.json({ chat: existing });
+      }
+      const organization = await readOrganization(req);
+      if (!organization) return res.status(404).json({ error: "Folder not found" });
       const chat = await Chat.create({
         userId: req.user.id,
-        title,
+        clientId,
+        ...(title ? { title, titleSource: "manual" } : {}),
         messages,
+        systemPrompt,
+        activeLeafId,
+        ...organization,
       });
+      publishChatEvent(req.user.id, "created", chat._id);
+      const path = getActivePath(normalizeTree(chat.toObject().messages), activeLeafId);
+      titleNewExchange(chat, path);
       return res.status(201).json({ chat });
     } catch (err) {
+      if (err.code === 11000 && clientId) {
+        const existing = await Chat.findOne({ userId: req.user.id, clientId });
+        if (existing) return res.json({ chat: existing });
+      }
       console.error("Create chat error", err);
       return res.status(500).json({ error: "Unable to save chat" });
     }
@@ -55,24 +540,38 @@ router.post(
 router.put(
   "/:id",
   requireAuth,
-  [body("title").optional().isString(), messageValidator.optional()],
+  [
+    idValidator,
+    body("title").optional().isString(),
+    messageValidator.optional(),
+    systemPromptValidator,
+    body("activeLeafId").optional({ values: "null" }).isString(),
+    ...organizationValidators,
+    versionValidator,
+  ],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    const { title, messages } = req.body;
+    const { title, messages, systemPrompt, activeLeafId } = req.body;
     try {
-      const update = {};
-      if (title) update.title = title;
+      const organization = await readOrganization(req);
+      if (!organization) return res.status(404).json({ error: "Folder not found" });
+      const update = { ...organization };
+      if (title) {
+        update.title = title;
+        update.titleSource = "manual";
+      }
       if (Array.isArray(messages)) update.messages = messages;
+      if (typeof systemPrompt === "string") update.systemPrompt = systemPrompt;
+      if (activeLeafId !== undefined) update.activeLeafId = activeLeafId;
       update.updatedAt = new Date();
-      const chat = await Chat.findOneAndUpdate(
-        { _id: req.params.id, userId: req.user.id },
-        { $set: update },
-        { new: true },
-      );
-      if (!chat) return res.status(404).json({ error: "Chat not found" });
+      const { chat, current } = await updateChat(req, {}, { $set: update });
+      if (!chat) return rejectUpdate(req, res, current);
+      if (title) {
+        publishChatEvent(req.user.id, "renamed", chat._id, { title, titleSource: "manual" });
+      }
       return res.json({ chat });
     } catch (err) {
       console.error("Update chat error", err);
@@ -81,14 +580,426 @@ router.put(
   },
 );
 
-router.delete("/:id", requireAuth, async (req, res) => {
+// Export files are far bigger than the app-wide JSON limit, so uploads come in
+// as raw text (any non-JSON content type). Small JSON bodies work too.
+const importBodyParser = express.text({
+  type: (req) => !req.is("application/json"),
+  limit: "25mb",
+});
+
+router.post(
+  "/import",
+  requireAuth,
+  importBodyParser,
+  [query("format").optional().isIn(IMPORT_FORMATS)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (req.body === undefined || req.body === "") {
+      return res.status(400).json({ error: "Nothing to import" });
+    }
+
+    let parsed;
+    try {
+      parsed = parseImport(req.body, req.query.format);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const userId = req.user.id;
+    const imported = [];
+    const skipped = [];
+    const failed = [...parsed.errors];
+    for (const conversation of parsed.conversations) {
+      const { index, sourceKey, title, createdAt, updatedAt, messages, activeLeafId } =
+        conversation;
+      try {
+        const chat = new Chat({
+          userId,
+          clientId: sourceKey,
+          title,
+          messages,
+          activeLeafId,
+          createdAt: createdAt ?? new Date(),
+          updatedAt: updatedAt ?? new Date(),
+        });
+        await chat.validate();
+        // Keyed on the source conversation, so importing the same file again
+        // leaves the chats it already made alone. The original dates are kept
+        // so imports sort among existing chats.
+        const result = await Chat.updateOne(
+          { userId, clientId: sourceKey },
+          { $setOnInsert: chat.toObject() },
+          { upsert: true, timestamps: false },
+        );
+        if (result.upsertedCount > 0) {
+          publishChatEvent(userId, "created", result.upsertedId);
+          imported.push({ index, chatId: result.upsertedId, title, messageCount: messages.length });
+          continue;
+        }
+      } catch (err) {
+        if (err.code !== 11000) {
+          failed.push({ index, title, error: err.message });
+          continue;
+        }
+      }
+      const existing = await Chat.findOne({ userId, clientId: sourceKey }).select("_id").lean();
+      skipped.push({ index, chatId: existing?._id ?? null, title });
+    }
+    failed.sort((a, b) => a.index - b.index);
+    console.log(
+      `📥 Imported ${imported.length} chat(s), ${skipped.length} already imported, ` +
+        `${failed.length} failed`,
+    );
+    const status = imported.length > 0 ? 201 : skipped.length > 0 ? 200 : 422;
+    return res.status(status).json({ imported, skipped, errors: failed });
+  },
+);
+
+const MAX_CLAIM_CHATS = 100;
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+}
+
+// Builds a Chat from one the browser kept for a guest. Only known fields are
+// taken; anything the schema rejects fails that chat alone.
+function fromLocalChat(userId, local) {
+  const messages = normalizeTree(local.messages)
+    .filter((message) => message.content || message.interrupted)
+    .map((message) => ({
+      id: String(message.id).slice(0, 64),
+      parentId: message.parentId ?? null,
+      role: message.role,
+      content: message.content ?? "",
+      ...(message.interrupted ? { interrupted: true } : {}),
+      createdAt: toDate(message.createdAt),
+    }));
+  const tags = Array.isArray(local.tags)
+    ? normalizeTags(local.tags.filter((tag) => typeof tag === "string" && tag.trim()))
+    : [];
+  const title = typeof local.title === "string" ? local.title.trim().slice(0, 200) : "";
+  const createdAt = toDate(local.createdAt) ?? new Date();
+  return new Chat({
+    userId,
+    clientId: local.clientId,
+    ...(title ? { title } : {}),
+    titleSource: local.titleSource === "manual" ? "manual" : "default",
+    messages,
+    activeLeafId: typeof local.activeLeafId === "string" ? local.activeLeafId : null,
+    pinned: local.pinned === true,
+    archived: local.archived === true,
+    tags: tags.slice(0, MAX_TAGS),
+    deletedAt: toDate(local.deletedAt) ?? null,
+    createdAt,
+    updatedAt: toDate(local.updatedAt) ?? createdAt,
+  });
+}
+
+// Moves a guest's browser chats into their account after they sign in.
+// Chats are matched on clientId, so sending the same batch twice (say, after
+// a dropped response) saves each chat once.
+router.post(
+  "/claim",
+  requireAuth,
+  [
+    body("chats")
+      .isArray({ min: 1, max: MAX_CLAIM_CHATS })
+      .withMessage(`chats must be an array of 1-${MAX_CLAIM_CHATS} chats`),
+    body("chats.*.clientId")
+      .isString()
+      .isLength({ min: 1, max: 64 })
+      .withMessage("Each chat needs a clientId of 1-64 characters"),
+    body("chats.*.messages").isArray().withMessage("Messages must be an array"),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const created = new Set();
+    const failed = [];
+    for (const local of req.body.chats) {
+      try {
+        const chat = fromLocalChat(userId, local);
+        await chat.validate();
+        const result = await Chat.updateOne(
+          { userId, clientId: local.clientId },
+          { $setOnInsert: chat.toObject() },
+          { upsert: true, timestamps: false },
+        );
+        if (result.upsertedCount > 0) {
+          created.add(local.clientId);
+          publishChatEvent(userId, "created", result.upsertedId);
+        }
+      } catch (err) {
+        // A concurrent claim inserted it first; that copy is just as good
+        if (err.code === 11000) continue;
+        failed.push({ clientId: local.clientId, error: err.message });
+      }
+    }
+
+    try {
+      const saved = await Chat.find({
+        userId,
+        clientId: { $in: req.body.chats.map((local) => local.clientId) },
+      })
+        .select("clientId")
+        .lean();
+      const chats = saved.map((chat) => ({
+        clientId: chat.clientId,
+        chatId: chat._id,
+        created: created.has(chat.clientId),
+      }));
+      console.log(`📦 Claimed ${created.size} guest chat(s), ${failed.length} failed`);
+      return res.json({ chats, errors: failed });
+    } catch (err) {
+      console.error("Claim chats error", err);
+      return res.status(500).json({ error: "Unable to save chats" });
+    }
+  },
+);
+
+// Appends one message to the tree. Without a parentId it continues the
+// branch currently shown.
+router.post(
+  "/:id/messages",
+  requireAuth,
+  [
+    idValidator,
+    body("id").optional().isString().isLength({ min: 1, max: 64 }),
+    body("parentId").optional({ values: "null" }).isString(),
+    body("role").isIn(["user", "assistant"]).withMessage("Role must be user or assistant"),
+    body("content").isString().withMessage("Content must be a string"),
+    body("interrupted").optional().isBoolean(),
+    versionValidator,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { role, content, interrupted } = req.body;
+    const id = req.body.id || crypto.randomUUID();
+    try {
+      let { parentId } = req.body;
+      if (parentId === undefined) {
+        const existing = await Chat.findOne(ownChatFilter(req))
+          .select("activeLeafId")
+          .lean();
+        if (!existing) return res.status(404).json({ error: "Chat not found" });
+        parentId = existing.activeLeafId;
+      }
+
+      const conditions = { $and: [{ "messages.id": { $ne: id } }] };
+      if (parentId) conditions.$and.push({ "messages.id": parentId });
+      const message = { id, parentId: parentId ?? null, role, content };
+      if (interrupted) message.interrupted = true;
+
+      const { chat, current } = await updateChat(
+        req,
+        conditions,
+        { $push: { messages: message }, $set: { activeLeafId: id } },
+        { projection: { version: 1, messages: { $elemMatch: { id } } } },
+      );
+      if (!chat) {
+        return rejectUpdate(req, res, current, ({ messages }) =>
+          messages.some((m) => m.id === id)
+            ? res.status(409).json({ error: "Message already exists", version: current.version })
+            : res.status(400).json({ error: "Parent message not found" }),
+        );
+      }
+      if (role === "assistant" && content) {
+        const saved = await Chat.findOne(ownChatFilter(req))
+          .select("userId titleSource messages")
+          .lean();
+        const path = saved ? getActivePath(normalizeTree(saved.messages), id) : [];
+        // Only the first exchange is titled, so older untitled chats keep theirs
+        if (path.length === 2) titleNewExchange(saved, path);
+      }
+      return res.status(201).json({ message: chat.messages[0], version: chat.version });
+    } catch (err) {
+      console.error("Add message error", err);
+      return res.status(500).json({ error: "Unable to save message" });
+    }
+  },
+);
+
+router.patch(
+  "/:id/messages/:messageId",
+  requireAuth,
+  [
+    idValidator,
+    body("content").isString().withMessage("Content must be a string"),
+    versionValidator,
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { messageId } = req.params;
+    try {
+      const { chat, current } = await updateChat(
+        req,
+        { "messages.id": messageId },
+        {
+          $set: { "messages.$.content": req.body.content, "messages.$.updatedAt": new Date() },
+        },
+        { projection: { version: 1, messages: { $elemMatch: { id: messageId } } } },
+      );
+      if (!chat) {
+        return rejectUpdate(req, res, current, () =>
+          res.status(404).json({ error: "Message not found" }),
+        );
+      }
+      return res.json({ message: chat.messages[0], version: chat.version });
+    } catch (err) {
+      console.error("Update message error", err);
+      return res.status(500).json({ error: "Unable to update message" });
+    }
+  },
+);
+
+// Removes a message together with every branch below it.
+router.delete(
+  "/:id/messages/:messageId",
+  requireAuth,
+  [idValidator, query("version").optional().isInt({ min: 0 }).withMessage(versionMessage)],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const existing = await Chat.findOne(ownChatFilter(req))
+        .select("messages activeLeafId version")
+        .lean();
+      if (!existing) return res.status(404).json({ error: "Chat not found" });
+      const expected = getExpectedVersion(req);
+      if (expected !== undefined && expected !== existing.version) {
+        return res.status(409).json({
+          error: "Chat was changed in another session",
+          version: existing.version,
+        });
+      }
+
+      const tree = normalizeTree(existing.messages);
+      const target = findNode(tree, req.params.messageId);
+      if (!target) return res.status(404).json({ error: "Message not found" });
+
+      const removed = getSubtreeIds(tree, target.id);
+      const remaining = tree.filter((node) => !removed.includes(node.id));
+      const update = {};
+      // Chats from before message ids can't be matched by id; store them
+      // with their inferred ids instead.
+      if (existing.messages.some((m) => !m.id)) {
+        update.$set = { messages: remaining };
+      } else {
+        update.$pull = { messages: { id: { $in: removed } } };
+      }
+      if (removed.includes(existing.activeLeafId)) {
+        const leaf = target.parentId
+          ? getLatestLeaf(remaining, target.parentId)
+          : remaining[remaining.length - 1];
+        update.$set = { ...update.$set, activeLeafId: leaf?.id ?? null };
+      }
+
+      // Pinned to the version that was read, so the computed subtree can't go stale
+      const chat = await Chat.findOneAndUpdate(
+        { _id: existing._id, userId: req.user.id, version: existing.version },
+        { ...update, $inc: { version: 1 } },
+        { new: true, projection: { version: 1 } },
+      );
+      if (!chat) {
+        return res.status(409).json({ error: "Chat was changed in another session" });
+      }
+      publishChatEvent(req.user.id, "updated", chat._id, { version: chat.version });
+      return res.json({ deleted: removed, version: chat.version });
+    } catch (err) {
+      console.error("Delete message error", err);
+      return res.status(500).json({ error: "Unable to delete message" });
+    }
+  },
+);
+
+// Moves a chat to the trash, or with ?permanent=true deletes it for good.
+router.delete(
+  "/:id",
+  requireAuth,
+  [
+    idValidator,
+    query("permanent").optional().isIn(["true", "false"]),
+    query("version").optional().isInt({ min: 0 }).withMessage(versionMessage),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      if (req.query.permanent === "true") {
+        const result = await Chat.deleteOne({ _id: req.params.id, userId: req.user.id });
+        if (result.deletedCount === 0) return res.status(404).json({ error: "Chat not found" });
+        // Share links must stop working along with the chat
+        await SharedChat.deleteMany({ chatId: req.params.id, userId: req.user.id });
+        await DeletedChat.create({ chatId: req.params.id, userId: req.user.id });
+        publishChatEvent(req.user.id, "deleted", req.params.id, { permanent: true });
+        return res.json({ message: "Chat deleted" });
+      }
+
+      const deletedAt = new Date();
+      const filter = ownChatFilter(req);
+      const version = getExpectedVersion(req);
+      if (version !== undefined) filter.version = version;
+      const chat = await Chat.findOneAndUpdate(
+        filter,
+        { $set: { deletedAt }, $inc: { version: 1 } },
+        { new: true, projection: { version: 1 } },
+      );
+      if (!chat) {
+        const current = await Chat.findOne(ownChatFilter(req)).select("version").lean();
+        return rejectUpdate(req, res, current);
+      }
+      publishChatEvent(req.user.id, "deleted", chat._id, {
+        permanent: false,
+        deletedAt,
+        version: chat.version,
+      });
+      return res.json({
+        message: "Chat moved to trash",
+        purgeAt: getPurgeDate(deletedAt),
+        version: chat.version,
+      });
+    } catch (err) {
+      console.error("Delete chat error", err);
+      return res.status(500).json({ error: "Unable to delete chat" });
+    }
+  },
+);
+
+router.post("/:id/restore", requireAuth, [idValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
   try {
-    const result = await Chat.deleteOne({ _id: req.params.id, userId: req.user.id });
-    if (result.deletedCount === 0) return res.status(404).json({ error: "Chat not found" });
-    return res.json({ message: "Chat deleted" });
+    const chat = await Chat.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $inc: { version: 1 } },
+      { new: true },
+    );
+    if (!chat) return res.status(404).json({ error: "Chat not found in trash" });
+    publishChatEvent(req.user.id, "updated", chat._id, { version: chat.version });
+    return res.json({ chat });
   } catch (err) {
-    console.error("Delete chat error", err);
-    return res.status(500).json({ error: "Unable to delete chat" });
+    console.error("Restore chat error", err);
+    return res.status(500).json({ error: "Unable to restore chat" });
   }
 });
 
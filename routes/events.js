@@ -0,0 +1,49 @@
+import express from "express";
+import { requireAuth } from "../middleware/auth.js";
+import { subscribeChatEvents } from "../utils/chatEvents.js";
+import { isSessionRevoked } from "../utils/sessions.js";
+
+const router = express.Router();
+
+// Comments keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// How long the browser waits before reconnecting after a drop
+const RETRY_MS = 5 * 1000;
+
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Server-sent events for the caller's chats. The stream ends when the access
+// token expires or its session is revoked; the client refreshes its token and
+// reconnects.
+router.get("/", requireAuth, (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  writeEvent(res, "ready", { userId: req.user.id });
+
+  const unsubscribe = subscribeChatEvents(req.user.id, (event) =>
+    writeEvent(res, event.type, event),
+  );
+  const heartbeat = setInterval(() => {
+    if (isSessionRevoked(req.user.sessionId)) res.end();
+    else res.write(": ping\n\n");
+  }, HEARTBEAT_MS);
+  const expiry = req.user.expiresAt
+    ? setTimeout(() => res.end(), Math.max(0, req.user.expiresAt - Date.now()))
+    : null;
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,91 @@
+import express from "express";
+import { body, param, validationResult } from "express-validator";
+import Chat from "../models/Chat.js";
+import Folder from "../models/Folder.js";
+import { requireAuth } from "../middleware/auth.js";
+import { publishChatEvent } from "../utils/chatEvents.js";
+
+const router = express.Router();
+
+const nameValidator = body("name")
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 60 })
+  .withMessage("Folder name must be 1-60 characters");
+
+const idValidator = param("id").isMongoId().withMessage("Invalid folder id");
+
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const folders = await Folder.find({ userId: req.user.id }).sort({ name: 1 });
+    return res.json({ folders });
+  } catch (err) {
+    console.error("Get folders error", err);
+    return res.status(500).json({ error: "Unable to load folders" });
+  }
+});
+
+router.post("/", requireAuth, [nameValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const folder = await Folder.create({ userId: req.user.id, name: req.body.name });
+    return res.status(201).json({ folder });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A folder with that name already exists" });
+    }
+    console.error("Create folder error", err);
+    return res.status(500).json({ error: "Unable to save folder" });
+  }
+});
+
+router.put("/:id", requireAuth, [idValidator, nameValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const folder = await Folder.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { $set: { name: req.body.name } },
+      { new: true },
+    );
+    if (!folder) return res.status(404).json({ error: "Folder not found" });
+    return res.json({ folder });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "A folder with that name already exists" });
+    }
+    console.error("Update folder error", err);
+    return res.status(500).json({ error: "Unable to update folder" });
+  }
+});
+
+// Deleting a folder keeps its chats; they just become unfiled.
+router.delete("/:id", requireAuth, [idValidator], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  try {
+    const result = await Folder.deleteOne({ _id: req.params.id, userId: req.user.id });
+    if (result.deletedCount === 0) return res.status(404).json({ error: "Folder not found" });
+    const filed = await Chat.find({ userId: req.user.id, folderId: req.params.id })
+      .select("_id")
+      .lean();
+    await Chat.updateMany(
+      { _id: { $in: filed.map((chat) => chat._id) } },
+      { $set: { folderId: null }, $inc: { version: 1 } },
+    );
+    for (const chat of filed) publishChatEvent(req.user.id, "updated", chat._id);
+    return res.json({ message: "Folder deleted" });
+  } catch (err) {
+    console.error("Delete folder error", err);
+    return res.status(500).json({ error: "Unable to delete folder" });
+  }
+});
+
+export default router;
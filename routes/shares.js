@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import express from "express";
+import { body, query, validationResult } from "express-validator";
+import Chat from "../models/Chat.js";
+import SharedChat from "../models/SharedChat.js";
+import { requireAuth } from "../middleware/auth.js";
+import { getActivePath, normalizeTree } from "../utils/chatTree.js";
+
+const router = express.Router();
+
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 144 random bits: not guessable and short enough to paste around
+function createSlug() {
+  return crypto.randomBytes(18).toString("base64url");
+}
+
+function toShareSummary(share) {
+  return {
+    slug: share.slug,
+    chatId: share.chatId,
+    title: share.title,
+    views: share.views,
+    expiresAt: share.expiresAt,
+    createdAt: share.createdAt,
+  };
+}
+
+// Links past their expiry stay in the collection until the TTL monitor runs
+const notExpired = () => ({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] });
+
+router.get(
+  "/",
+  requireAuth,
+  [query("chatId").optional().isMongoId().withMessage("chatId must be a valid id")],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const filter = { userId: req.user.id, ...notExpired() };
+      if (req.query.chatId) filter.chatId = req.query.chatId;
+      const shares = await SharedChat.find(filter)
+        .select("-messages")
+        .sort({ createdAt: -1 })
+        .lean();
+      return res.json({ shares: shares.map(toShareSummary) });
+    } catch (err) {
+      console.error("List shares error", err);
+      return res.status(500).json({ error: "Unable to load share links" });
+    }
+  },
+);
+
+router.post(
+  "/",
+  requireAuth,
+  [
+    body("chatId").isMongoId().withMessage("chatId must be a valid id"),
+    body("expiresInDays")
+      .optional({ values: "null" })
+      .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+      .withMessage(`expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`)
+      .toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    try {
+      const chat = await Chat.findOne({
+        _id: req.body.chatId,
+        userId: req.user.id,
+        deletedAt: null,
+      })
+        .select("title messages activeLeafId")
+        .lean();
+      if (!chat) return res.status(404).json({ error: "Chat not found" });
+
+      const messages = getActivePath(normalizeTree(chat.messages), chat.activeLeafId)
+        .filter((message) => message.role === "user" || message.role === "assistant")
+        .map(({ role, content, interrupted, createdAt }) => ({
+          role,
+          content,
+          ...(interrupted ? { interrupted: true } : {}),
+          createdAt,
+        }));
+      if (messages.length === 0) {
+        return res.status(400).json({ error: "Chat has no messages to share" });
+      }
+
+      const { expiresInDays } = req.body;
+      const share = await SharedChat.create({
+        slug: createSlug(),
+        chatId: chat._id,
+        userId: req.user.id,
+        title: chat.title,
+        messages,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null,
+      });
+      console.log(`🔗 Shared chat ${chat._id} as ${share.slug}`);
+      return res.status(201).json({ share: toShareSummary(share) });
+    } catch (err) {
+      console.error("Create share error", err);
+      return res.status(500).json({ error: "Unable to create share link" });
+    }
+  },
+);
+
+router.delete("/:slug", requireAuth, async (req, res) => {
+  try {
+    const result = await SharedChat.deleteOne({ slug: req.params.slug, userId: req.user.id });
+    if (result.deletedCount === 0) return res.status(404).json({ error: "Share link not found" });
+    return res.json({ message: "Share link revoked" });
+  } catch (err) {
+    console.error("Revoke share error", err);
+    return res.status(500).json({ error: "Unable to revoke share link" });
+  }
+});
+
+// Public: anyone with the link can read the snapshot, and each read counts
+// as a view.
+router.get("/:slug", async (req, res) => {
+  try {
+    const share = await SharedChat.findOneAndUpdate(
+      { slug: req.params.slug, ...notExpired() },
+      { $inc: { views: 1 } },
+      { new: true, timestamps: false },
+    ).lean();
+    if (!share) return res.status(404).json({ error: "This link has expired or been revoked" });
+    return res.json({
+      share: {
+        title: share.title,
+        messages: share.messages,
+        views: share.views,
+        expiresAt: share.expiresAt,
+        createdAt: share.createdAt,
+      },
+    });
+  } catch (err) {
+    console.error("Get share error", err);
+    return res.status(500).json({ error: "Unable to load shared chat" });
+  }
+});
+
+export default router;
@@ -5,7 +5,11 @@ import dotenv from "dotenv";
 import { connectDB } from "./config/db.js";
 import authRoutes from "./routes/auth.js";
 import chatRoutes from "./routes/chats.js";
+import folderRoutes from "./routes/folders.js";
+import shareRoutes from "./routes/shares.js";
+import eventRoutes from "./routes/events.js";
 import { chatStreamRouter } from "./routes/chatStream.js";
+import { startTrashPurgeJob } from "./utils/trashPurge.js";
 
 dotenv.config({ path: ".env.local" });
 dotenv.config(); // fallback to .env if present
@@ -15,22 +19,38 @@ const PORT = process.env.PORT || 3001;
 
 const clientOrigin = process.env.APP_URL || "http://localhost:5173";
 
+// Behind a reverse proxy, req.ip (shown in the sessions list) is the proxy's
+// address unless Express is told how many hops to trust
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 app.use(
   cors({
     origin: clientOrigin,
     credentials: true,
+    exposedHeaders: ["X-Stream-Id"],
   }),
 );
+// Guest chats are uploaded all at once on sign-in, which can be far more than
+// the default body limit
+app.use("/api/chats/claim", express.json({ limit: "10mb" }));
 app.use(express.json());
 app.use(cookieParser());
 
-connectDB().catch((err) => {
-  console.error("Failed to connect to MongoDB", err);
-  process.exit(1);
-});
+connectDB()
+  .then(() => startTrashPurgeJob())
+  .catch((err) => {
+    console.error("Failed to connect to MongoDB", err);
+    process.exit(1);
+  });
 
 app.use("/api/auth", authRoutes);
 app.use("/api/chats", chatRoutes);
+app.use("/api/folders", folderRoutes);
+app.use("/api/shares", shareRoutes);
+app.use("/api/events", eventRoutes);
 app.use("/api/chat", chatStreamRouter);
 
 app.get("/health", (_req, res) => {
@@ -3,6 +3,8 @@ import { Layout, ConfigProvider, theme as antdTheme } from "antd";
 import { Routes, Route, Navigate } from "react-router-dom";
 import Chat from "./Chat.jsx";
 import AuthPage from "./pages/AuthPage.jsx";
+import SharedChatPage from "./pages/SharedChatPage.jsx";
+import SettingsPage from "./pages/SettingsPage.jsx";
 
 const { Content } = Layout;
 
@@ -43,6 +45,14 @@ export default function App() {
               path="/auth/signup"
               element={<AuthPage mode="signup" themeMode={themeMode} onThemeChange={setThemeMode} />}
             />
+            <Route
+              path="/share/:slug"
+              element={<SharedChatPage themeMode={themeMode} onThemeChange={setThemeMode} />}
+            />
+            <Route
+              path="/settings"
+              element={<SettingsPage themeMode={themeMode} onThemeChange={setThemeMode} />}
+            />
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
         </Content>
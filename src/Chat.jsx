@@ -1,22 +1,62 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { useChat } from "ai/react";
-import { Input, Typography, Tooltip, message, Button } from "antd";
+import {
+  Input,
+  Typography,
+  Tooltip,
+  message,
+  Button,
+  Dropdown,
+  Modal,
+  Segmented,
+  Select,
+} from "antd";
 import { useNavigate } from "react-router-dom";
 import {
   AudioOutlined,
   SendOutlined,
   LoadingOutlined,
+  StopOutlined,
   BulbOutlined,
   MoonOutlined,
   SoundOutlined,
   AudioMutedOutlined,
   PlusOutlined,
-  DeleteOutlined,
   MessageOutlined,
   MenuOutlined,
   CloseOutlined,
+  LeftOutlined,
+  RightOutlined,
+  RedoOutlined,
+  EditOutlined,
+  SearchOutlined,
+  MoreOutlined,
+  PushpinOutlined,
+  FolderOutlined,
+  FolderOpenOutlined,
+  FolderAddOutlined,
+  DeleteOutlined,
+  UndoOutlined,
+  DownloadOutlined,
+  UploadOutlined,
+  LinkOutlined,
+  CopyOutlined,
+  EyeOutlined,
 } from "@ant-design/icons";
 import wowziriLogo from "./assets/images/logo.png";
+import { resumableFetch } from "./utils/resumableFetch.js";
+import { assignServerId, createSyncRunner, enqueueOp, readOps } from "./utils/syncQueue.js";
+import { subscribeChatEvents } from "./utils/chatEvents.js";
+import {
+  findNode,
+  getActivePath,
+  getLatestLeaf,
+  getSiblings,
+  mergePath,
+  mergeTrees,
+  normalizeTree,
+} from "../utils/chatTree.js";
+import { EXPORT_FORMATS, getExportFileName } from "../utils/chatExport.js";
 
 const { Text, Title } = Typography;
 const { TextArea } = Input;
@@ -31,19 +71,160 @@ const TYPE_SCALE = {
 
 const conversationWidth = 820;
 
-// Helper function to generate chat title from first message
+// Matches the server's default; local-only chats are purged on load after it
+const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Chats per request when saving a guest's local chats to their account
+const CLAIM_BATCH_SIZE = 25;
+// How often signed-in clients ask the server for chats changed elsewhere
+const SYNC_PULL_INTERVAL_MS = 30 * 1000;
+const SYNC_STATUS_COLORS = {
+  synced: "#10a37f",
+  syncing: "#3b82f6",
+  offline: "#9ca3af",
+  error: "#f59e0b",
+};
+
+// Placeholder title from the first message. Saved chats get a proper one from
+// the server after the first reply; local-only chats keep this.
 const generateChatTitle = (firstMessage) => {
   if (!firstMessage) return "New Chat";
   const words = firstMessage.split(" ");
   return words.slice(0, 5).join(" ") + (words.length > 5 ? "..." : "");
 };
 
+const createMessageId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Chats keep every branch in `messages`; the view shows one path through it
+const getChatPath = (chat) =>
+  chat ? getActivePath(normalizeTree(chat.messages), chat.activeLeafId) : [];
+
+// A title set on the server: generated after the first reply, or a rename
+// from another session. Manual titles only give way to another manual rename.
+const applyServerTitle = (chat, { title, titleSource }) =>
+  titleSource !== "manual" && chat.titleSource === "manual"
+    ? chat
+    : { ...chat, title, titleSource, synced: chat.synced && { ...chat.synced, title } };
+
+// Sidebar entries arrive without messages; history loads when a chat is opened
+const fromChatSummary = (summary) => ({
+  id: summary.id,
+  serverId: summary.id,
+  title: summary.title || "New Chat",
+  preview: summary.preview,
+  messageCount: summary.messageCount,
+  folderId: summary.folderId ?? null,
+  pinned: Boolean(summary.pinned),
+  tags: summary.tags ?? [],
+  archived: Boolean(summary.archived),
+  deletedAt: summary.deletedAt ?? null,
+  purgeAt: summary.purgeAt,
+  version: summary.version,
+  messages: [],
+  loaded: false,
+  createdAt: summary.createdAt,
+  updatedAt: summary.updatedAt,
+});
+
+const fromServerChat = (chat) => {
+  const messages = normalizeTree(chat.messages).map((msg) => ({
+    id: msg.id,
+    parentId: msg.parentId,
+    role: msg.role,
+    content: msg.content,
+    ...(msg.interrupted ? { interrupted: true } : {}),
+    ...(msg.updatedAt ? { updatedAt: msg.updatedAt } : {}),
+  }));
+  return {
+    id: chat._id,
+    serverId: chat._id,
+    title: chat.title || "New Chat",
+    titleSource: chat.titleSource,
+    messages,
+    activeLeafId: chat.activeLeafId,
+    folderId: chat.folderId ?? null,
+    pinned: Boolean(chat.pinned),
+    tags: chat.tags ?? [],
+    archived: Boolean(chat.archived),
+    deletedAt: chat.deletedAt ?? null,
+    version: chat.version,
+    loaded: true,
+    // What the server already has, so later syncs only send the changes
+    synced: {
+      ids: messages.map((msg) => msg.id),
+      title: chat.title || "New Chat",
+      activeLeafId: chat.activeLeafId,
+    },
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+  };
+};
+
+// Reconciles a local chat with a newer copy from the server. The result
+// doesn't depend on timing: messages are the union of both trees (the later
+// edit of a message wins, else the server's copy), and every other field
+// takes the server's value unless a local change to it is still queued, since
+// that change reaches the server afterwards and wins there too.
+const rebaseChat = (local, server, queuedOps) => {
+  const queuedFields = new Set();
+  for (const op of queuedOps) {
+    if (op.chatId !== local.id) continue;
+    if (op.type === "update") Object.keys(op.patch).forEach((field) => queuedFields.add(field));
+    if (op.type === "delete" || op.type === "restore") {
+      queuedFields.add("deletedAt").add("purgeAt");
+    }
+  }
+  const merged = { ...local, ...server, id: local.id, loaded: local.loaded || server.loaded };
+  queuedFields.forEach((field) => {
+    merged[field] = local[field];
+  });
+  if (queuedFields.has("title")) merged.titleSource = local.titleSource;
+  merged.messages = mergeTrees(normalizeTree(server.messages), normalizeTree(local.messages));
+  if (server.synced) {
+    merged.synced = {
+      ids: [...new Set([...server.synced.ids, ...(local.synced?.ids ?? [])])],
+      title: merged.title,
+      activeLeafId: merged.activeLeafId,
+    };
+  }
+  return merged;
+};
+
+// Adds listed chats that aren't in the sidebar yet
+const mergeChatSummaries = (chats, summaries) => {
+  const known = new Set(chats.map((c) => c.serverId).filter(Boolean));
+  return [...chats, ...summaries.map(fromChatSummary).filter((c) => !known.has(c.serverId))];
+};
+
+const downloadFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const EXPORT_MENU_ITEMS = [
+  { key: "export:md", label: "Markdown" },
+  { key: "export:json", label: "JSON" },
+  { key: "export:html", label: "HTML" },
+  { key: "export:print", label: "Print / Save as PDF" },
+];
+
+const normalizeTags = (tags) =>
+  [...new Set(tags.map((tag) => tag.trim().toLowerCase()))].filter(Boolean);
+
 export default function Chat({ themeMode, onThemeChange }) {
   const [chats, setChats] = useState(() => {
     const saved = localStorage.getItem("wowziri_chats");
     if (saved) {
       try {
-        const parsed = JSON.parse(saved);
+        const cutoff = Date.now() - TRASH_RETENTION_DAYS * DAY_MS;
+        const parsed = JSON.parse(saved).filter(
+          (chat) => !chat.deletedAt || Date.parse(chat.deletedAt) > cutoff
+        );
         return parsed.length > 0 ? parsed : [];
       } catch (e) {
         console.error("Error loading chats:", e);
@@ -81,6 +262,30 @@ export default function Chat({ themeMode, onThemeChange }) {
     localStorage.setItem("wowziri_chats", JSON.stringify(chats));
   }, [chats]);
 
+  const [authUser, setAuthUser] = useState(null);
+  const [accessToken, setAccessToken] = useState(
+    () => (typeof window !== "undefined" ? localStorage.getItem("wowziri_access") || "" : "")
+  );
+
+  // Id of the generation in flight, used to cancel it server-side
+  const streamIdRef = useRef(null);
+  // The server stores a reply under its stream id; reusing it as the message
+  // id keeps both copies of the tree in agreement.
+  const pendingReplyIdRef = useRef(null);
+  // Chat whose path is currently loaded into useChat
+  const loadedChatIdRef = useRef(null);
+
+  // Signed-in chats that already exist on the server are persisted by the
+  // stream endpoint itself, so a reply survives the tab closing mid-stream.
+  const chatRequestHeaders = useMemo(
+    () => (accessToken ? { Authorization: `Bearer ${accessToken}` } : undefined),
+    [accessToken]
+  );
+  const chatRequestBody = useMemo(
+    () => (authUser && currentChat?.serverId ? { chatId: currentChat.serverId } : undefined),
+    [authUser, currentChat?.serverId]
+  );
+
   const {
     messages,
     input,
@@ -90,14 +295,49 @@ export default function Chat({ themeMode, onThemeChange }) {
     handleInputChange,
     handleSubmit: originalHandleSubmit,
     isLoading,
+    stop,
+    reload,
   } = useChat({
     api: "/api/chat",
-    initialMessages: currentChat?.messages || [],
-    onFinish: (message) => {
-      console.log("✅ Message finished:", message);
-      setErrorMeta(null);
+    // Reconnects and resumes the reply if the connection drops mid-stream
+    fetch: resumableFetch,
+    headers: chatRequestHeaders,
+    body: chatRequestBody,
+    initialMessages: getChatPath(currentChat),
+    // Message ids let the server place each turn in the chat tree
+    sendExtraMessageFields: true,
+    generateId: () => {
+      const id = pendingReplyIdRef.current;
+      pendingReplyIdRef.current = null;
+      return id || createMessageId();
+    },
+    // Keep the partial reply visible when the stream fails midway
+    keepLastMessageOnError: true,
+    onFinish: (message, { finishReason }) => {
+      console.log("✅ Message finished:", message, finishReason);
+      pendingReplyIdRef.current = null;
+      if (finishReason === "stop") {
+        setErrorMeta(null);
+      } else if (finishReason === "length") {
+        setErrorMeta({
+          id: Date.now(),
+          message: "This reply hit the length limit and was cut short. Ask me to continue.",
+        });
+      } else if (finishReason === "content-filter") {
+        setErrorMeta({
+          id: Date.now(),
+          message: "Part of this reply was withheld by the safety filter.",
+        });
+      } else if (finishReason === "unknown") {
+        // No finish frame arrived: the connection dropped before the end
+        setErrorMeta({
+          id: Date.now(),
+          message: "The reply was interrupted before it finished. Please try again.",
+        });
+      }
     },
     onError: (err) => {
+      pendingReplyIdRef.current = null;
       console.error("❌ Chat error:", err);
       console.error("Error message:", err?.message);
       console.error("Error details:", err);
@@ -165,6 +405,8 @@ export default function Chat({ themeMode, onThemeChange }) {
       });
     },
     onResponse: (response) => {
+      streamIdRef.current = response.headers.get("X-Stream-Id");
+      pendingReplyIdRef.current = streamIdRef.current;
       console.log("✅ Got response from API");
       console.log("Response status:", response.status);
       console.log("Response headers:", response.headers);
@@ -175,38 +417,23 @@ export default function Chat({ themeMode, onThemeChange }) {
     },
   });
 
-  // Custom submit handler to create chat on first message
-  const handleSubmit = useCallback(
-    (e) => {
-      e?.preventDefault();
-
-      // If no current chat exists, create one
-      if (!currentChatId && input.trim()) {
-        const newChat = {
-          id: Date.now().toString(),
-          title: "New Chat",
-          messages: [],
-          createdAt: new Date().toISOString(),
-        };
-        setChats((prev) => [newChat, ...prev]);
-        setCurrentChatId(newChat.id);
-      }
-
-      // Call original submit
-      originalHandleSubmit(e);
-    },
-    [currentChatId, input, originalHandleSubmit]
-  );
-
-  // Sync messages to current chat
+  // Sync messages to current chat. Only the shown path changes here; other
+  // branches stay in the tree untouched.
   useEffect(() => {
+    // Right after a switch `messages` still holds the previous chat's path
+    if (loadedChatIdRef.current !== currentChatId) return;
     if (messages.length > 0) {
       setChats((prevChats) =>
         prevChats.map((chat) =>
           chat.id === currentChatId
             ? {
                 ...chat,
-                messages,
+                messages: mergePath(normalizeTree(chat.messages), messages),
+                activeLeafId: messages[messages.length - 1].id,
+                preview: {
+                  role: messages[messages.length - 1].role,
+                  content: messages[messages.length - 1].content.slice(0, 120),
+                },
                 title:
                   chat.messages.length === 0 && messages.length > 0
                     ? generateChatTitle(messages[0].content)
@@ -220,9 +447,10 @@ export default function Chat({ themeMode, onThemeChange }) {
 
   // Load messages when switching chats
   useEffect(() => {
+    loadedChatIdRef.current = currentChatId;
     const chat = chats.find((c) => c.id === currentChatId);
     if (chat) {
-      setMessages(chat.messages || []);
+      setMessages(getChatPath(chat));
     }
   }, [currentChatId, setMessages]);
 
@@ -277,10 +505,6 @@ export default function Chat({ themeMode, onThemeChange }) {
   );
 
   const navigate = useNavigate();
-  const [authUser, setAuthUser] = useState(null);
-  const [accessToken, setAccessToken] = useState(
-    () => (typeof window !== "undefined" ? localStorage.getItem("wowziri_access") || "" : "")
-  );
 
   useEffect(() => {
     if (!isBrowser) return;
@@ -306,6 +530,7 @@ export default function Chat({ themeMode, onThemeChange }) {
       const data = await res.json().catch(() => ({}));
       if (!res.ok) {
         const error = new Error(data.error || "Request failed");
+        error.status = res.status;
         error.details = data;
         throw error;
       }
@@ -314,97 +539,558 @@ export default function Chat({ themeMode, onThemeChange }) {
     [accessToken]
   );
 
-  const refreshSession = useCallback(async () => {
-    try {
-      setAuthLoading(true);
-      const data = await apiRequest("/api/auth/refresh", { method: "POST" });
-      setAccessToken(data.accessToken || "");
-      setAuthUser(data.user || null);
-      return data.user;
-    } catch (err) {
-      setAccessToken("");
-      setAuthUser(null);
-      return null;
-    } finally {
-      setAuthLoading(false);
-    }
+  // Each refresh rotates the refresh cookie, so concurrent callers share one
+  const refreshingRef = useRef(null);
+  const refreshSession = useCallback(() => {
+    refreshingRef.current ??= (async () => {
+      try {
+        setAuthLoading(true);
+        const data = await apiRequest("/api/auth/refresh", { method: "POST" });
+        setAccessToken(data.accessToken || "");
+        setAuthUser(data.user || null);
+        return data.user;
+      } catch (err) {
+        setAccessToken("");
+        setAuthUser(null);
+        return null;
+      } finally {
+        setAuthLoading(false);
+        refreshingRef.current = null;
+      }
+    })();
+    return refreshingRef.current;
   }, [apiRequest]);
 
+  const [nextCursor, setNextCursor] = useState(null);
+  // Where the last pull of changes from other devices stopped
+  const syncCursorRef = useRef(null);
+  const [loadingMoreChats, setLoadingMoreChats] = useState(false);
+
+  // Filtered listings (pinned, archived, a folder, a tag) are fetched once
+  // each and merged into the sidebar.
+  const fetchedListsRef = useRef(new Set());
+  const fetchChatList = useCallback(
+    async (params) => {
+      const key = new URLSearchParams({ ...params, limit: "100" }).toString();
+      if (!accessToken || fetchedListsRef.current.has(key)) return;
+      fetchedListsRef.current.add(key);
+      try {
+        const data = await apiRequest(`/api/chats?${key}`, { method: "GET", withAuth: true });
+        setChats((prev) => mergeChatSummaries(prev, data.chats || []));
+      } catch (err) {
+        fetchedListsRef.current.delete(key);
+        console.error("Unable to load chats", err);
+      }
+    },
+    [accessToken, apiRequest]
+  );
+
   const loadUserChats = useCallback(async () => {
     if (!accessToken) return;
     try {
       const data = await apiRequest("/api/chats", { method: "GET", withAuth: true });
-      const normalized = (data.chats || []).map((chat) => ({
-        id: chat._id,
-        serverId: chat._id,
-        title: chat.title || "New Chat",
-        messages: (chat.messages || []).map((msg, idx) => ({
-          id: msg._id || `m-${idx}`,
-          role: msg.role,
-          content: msg.content,
-        })),
-        createdAt: chat.createdAt,
-        updatedAt: chat.updatedAt,
-      }));
-      setChats(normalized);
-      if (normalized.length > 0) {
-        setCurrentChatId(normalized[0].id);
-        setMessages(normalized[0].messages);
-      }
+      const normalized = (data.chats || []).map(fromChatSummary);
+      // Unsaved local chats stay until they've been claimed
+      const isUnsaved = (c) => !c.serverId && c.messages?.length;
+      setChats((prev) => [...prev.filter(isUnsaved), ...normalized]);
+      setNextCursor(data.nextCursor || null);
+      // Keep the open chat if it's still listed; otherwise open the newest
+      const listed = new Set(
+        [...chatsRef.current.filter(isUnsaved), ...normalized].map((c) => c.id)
+      );
+      setCurrentChatId((current) => (listed.has(current) ? current : normalized[0]?.id ?? null));
+      fetchedListsRef.current.clear();
+      syncCursorRef.current = null;
+      // Pinned chats stay visible however old they are
+      fetchChatList({ pinned: "true" });
     } catch (err) {
       console.error("Unable to load remote chats", err);
     }
-  }, [accessToken, apiRequest, setMessages]);
+  }, [accessToken, apiRequest, fetchChatList]);
 
-  const syncChatToServer = useCallback(
-    async (chat) => {
-      if (!chat || !authUser || !accessToken) return;
-      try {
-        const payload = {
-          title: chat.title || "New Chat",
-          messages: (chat.messages || []).map((m) => ({ role: m.role, content: m.content })),
-        };
-        if (chat.serverId) {
-          const { chat: saved } = await apiRequest(`/api/chats/${chat.serverId}`, {
-            method: "PUT",
-            body: payload,
-            withAuth: true,
+  const loadMoreChats = useCallback(async () => {
+    if (!nextCursor || loadingMoreChats) return;
+    setLoadingMoreChats(true);
+    try {
+      const data = await apiRequest(`/api/chats?cursor=${encodeURIComponent(nextCursor)}`, {
+        method: "GET",
+        withAuth: true,
+      });
+      setChats((prev) => mergeChatSummaries(prev, data.chats || []));
+      setNextCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error("Unable to load more chats", err);
+    } finally {
+      setLoadingMoreChats(false);
+    }
+  }, [apiRequest, loadingMoreChats, nextCursor]);
+
+  const handleChatListScroll = useCallback(
+    (event) => {
+      const { scrollTop, clientHeight, scrollHeight } = event.currentTarget;
+      if (scrollTop + clientHeight >= scrollHeight - 48) {
+        loadMoreChats();
+      }
+    },
+    [loadMoreChats]
+  );
+
+  // Fetch the full history the first time a listed chat is opened
+  const historyLoading = currentChat?.loaded === false;
+  useEffect(() => {
+    if (!authUser || !historyLoading) return;
+    const chatId = currentChat.id;
+    apiRequest(`/api/chats/${currentChat.serverId}`, { method: "GET", withAuth: true })
+      .then(({ chat }) => {
+        const loaded = fromServerChat(chat);
+        setChats((prev) => prev.map((c) => (c.id === chatId ? { ...c, ...loaded } : c)));
+        if (loadedChatIdRef.current === chatId) {
+          setMessages(getChatPath(loaded));
+        }
+      })
+      .catch((err) => console.error("Unable to load chat", err));
+  }, [apiRequest, authUser, currentChat?.id, currentChat?.serverId, historyLoading, setMessages]);
+
+  // Outbound sync: changes to a signed-in user's chats become ops in a queue
+  // kept in IndexedDB and sent in order, so edits made offline go up once
+  // the connection is back.
+  const [syncStatus, setSyncStatus] = useState({ state: "synced", pending: 0 });
+  const chatsRef = useRef(chats);
+  const isLoadingRef = useRef(isLoading);
+  useEffect(() => {
+    chatsRef.current = chats;
+    isLoadingRef.current = isLoading;
+  });
+  // Ids of chats the server created this session, for ops queued before then
+  const serverIdsRef = useRef(new Map());
+  const syncRunnerRef = useRef(null);
+
+  const queueOp = useCallback(
+    (op) => {
+      enqueueOp({ ...op, userId: authUser?.id })
+        .then(() => syncRunnerRef.current?.flush())
+        .catch((err) => console.error("Unable to queue change", err));
+    },
+    [authUser?.id]
+  );
+
+  const queueChatChanges = useCallback(
+    (chat) => {
+      if (!chat || !authUser) return;
+      // Another account's unsaved chat stays out of this one
+      if (!chat.serverId && chat.ownerId && chat.ownerId !== authUser.id) return;
+      const tree = normalizeTree(chat.messages);
+      const title = chat.title || "New Chat";
+      const activeLeafId = chat.activeLeafId ?? null;
+      const synced = chat.synced || { ids: [] };
+      const syncedIds = new Set(synced.ids);
+      const pending = tree.filter((m) => !syncedIds.has(m.id));
+      // Only titles the user typed are sent; the server names the rest
+      const renamed = chat.titleSource === "manual" && title !== synced.title;
+      const metaChanged = renamed || activeLeafId !== synced.activeLeafId;
+      const toPayload = (m) => ({
+        id: m.id,
+        parentId: m.parentId,
+        role: m.role,
+        content: m.content,
+        ...(m.interrupted ? { interrupted: true } : {}),
+      });
+
+      if (!chat.serverId && !chat.synced) {
+        queueOp({
+          type: "create",
+          chatId: chat.id,
+          chat: {
+            ...(chat.titleSource === "manual" ? { title } : {}),
+            messages: tree.map(toPayload),
+            activeLeafId,
+            folderId: chat.folderId ?? null,
+            pinned: Boolean(chat.pinned),
+            tags: chat.tags ?? [],
+            archived: Boolean(chat.archived),
+          },
+        });
+      } else if (pending.length > 0 || metaChanged) {
+        for (const m of pending) {
+          queueOp({
+            type: "append",
+            chatId: chat.id,
+            serverId: chat.serverId,
+            message: toPayload(m),
           });
-          if (saved?._id) {
-            setChats((prev) =>
-              prev.map((c) =>
-                c.id === chat.id ? { ...c, serverId: saved._id, updatedAt: saved.updatedAt } : c
-              )
-            );
-          }
-        } else {
-          const { chat: saved } = await apiRequest("/api/chats", {
+        }
+        queueOp({
+          type: "update",
+          chatId: chat.id,
+          serverId: chat.serverId,
+          patch: { activeLeafId, ...(renamed ? { title } : {}) },
+        });
+      } else {
+        return;
+      }
+      setChats((prev) =>
+        prev.map((c) =>
+          c.id === chat.id
+            ? { ...c, synced: { ids: tree.map((m) => m.id), title, activeLeafId } }
+            : c
+        )
+      );
+    },
+    [authUser, queueOp]
+  );
+
+  useEffect(() => {
+    // Wait for the stream to finish instead of re-sending the array per chunk
+    if (!authUser || isLoading) return;
+    const chat = chats.find((c) => c.id === currentChatId);
+    if (chat && chat.messages && chat.messages.length > 0) {
+      queueChatChanges(chat);
+    }
+  }, [authUser, chats, currentChatId, isLoading, queueChatChanges]);
+
+  const refreshChat = useCallback(
+    async (chatId) => {
+      const local = chatsRef.current.find((c) => c.id === chatId);
+      if (!local?.serverId) return;
+      try {
+        const { chat } = await apiRequest(`/api/chats/${local.serverId}`, {
+          method: "GET",
+          withAuth: true,
+        });
+        const server = fromServerChat(chat);
+        const queued = await readOps();
+        setChats((prev) => prev.map((c) => (c.id === chatId ? rebaseChat(c, server, queued) : c)));
+        if (loadedChatIdRef.current === chatId && !isLoadingRef.current) {
+          const latest = chatsRef.current.find((c) => c.id === chatId) ?? local;
+          setMessages(getChatPath(rebaseChat(latest, server, queued)));
+        }
+      } catch (err) {
+        // Deleted for good on another device
+        if (err.status === 404) setChats((prev) => prev.filter((c) => c.id !== chatId));
+        else console.error("Unable to refresh chat", err);
+      }
+    },
+    [apiRequest, setMessages]
+  );
+
+  // Versions the server confirmed for our own writes, ahead of the next render
+  const savedVersionsRef = useRef(new Map());
+  // The last version of a chat this tab has caught up with, sent with each op
+  // so the server can refuse a write based on an outdated copy
+  const getKnownVersion = useCallback((chatId) => {
+    const local = chatsRef.current.find((c) => c.id === chatId)?.version;
+    const saved = savedVersionsRef.current.get(chatId);
+    return saved === undefined || local > saved ? local : saved;
+  }, []);
+
+  // Applies what came back for an op to the local chat. A version exactly one
+  // ahead means no other write happened in between; a newly created chat
+  // takes the server's version as it is.
+  const applySaved = useCallback(
+    (chatId, { version, ...fields }) => {
+      const known = getKnownVersion(chatId);
+      const accepted = version !== undefined && (known === undefined || version === known + 1);
+      if (accepted) savedVersionsRef.current.set(chatId, version);
+      const update = accepted ? { ...fields, version } : fields;
+      setChats((prev) => prev.map((c) => (c.id === chatId ? { ...c, ...update } : c)));
+    },
+    [getKnownVersion]
+  );
+
+  const sendOp = useCallback(
+    async (op) => {
+      const fail = (message, retry) => Object.assign(new Error(message), { retry });
+      if (op.userId !== authUser?.id) throw fail("Queued by another account", false);
+      const request = (path, options) =>
+        apiRequest(path, { ...options, withAuth: true }).catch(async (err) => {
+          // No status means the request never got an answer
+          if (err.status === 401) await refreshSession();
+          err.retry = !err.status || [401, 408, 429].includes(err.status) || err.status >= 500;
+          throw err;
+        });
+
+      if (op.type === "create") {
+        const { chat: saved } = await request("/api/chats", {
+          method: "POST",
+          body: { clientId: op.chatId, ...op.chat },
+        });
+        serverIdsRef.current.set(op.chatId, saved._id);
+        await assignServerId(op.chatId, saved._id);
+        // The chat was saved before (say, by the sign-in claim); add what it lacks
+        const known = new Set((saved.messages || []).map((m) => m.id));
+        for (const message of op.chat.messages.filter((m) => !known.has(m.id))) {
+          await request(`/api/chats/${saved._id}/messages`, { method: "POST", body: message });
+        }
+        applySaved(op.chatId, {
+          serverId: saved._id,
+          version: saved.version,
+          loaded: true,
+          updatedAt: saved.updatedAt,
+          ...(saved.titleSource === "auto" ? { title: saved.title, titleSource: "auto" } : {}),
+        });
+        return;
+      }
+
+      const serverId =
+        op.serverId ??
+        serverIdsRef.current.get(op.chatId) ??
+        chatsRef.current.find((c) => c.id === op.chatId)?.serverId;
+      if (!serverId) throw fail("Chat was never saved", false);
+      const path = `/api/chats/${serverId}`;
+      const write = async (version) => {
+        if (op.type === "append") {
+          const result = await request(`${path}/messages`, {
             method: "POST",
-            body: payload,
-            withAuth: true,
+            body: { ...op.message, version },
           });
-          if (saved?._id) {
-            setChats((prev) =>
-              prev.map((c) =>
-                c.id === chat.id ? { ...c, serverId: saved._id, updatedAt: saved.updatedAt } : c
-              )
-            );
+          applySaved(op.chatId, { version: result.version });
+        } else if (op.type === "update") {
+          const { chat: saved } = await request(path, {
+            method: "PUT",
+            body: { ...op.patch, version },
+          });
+          applySaved(op.chatId, { version: saved.version, updatedAt: saved.updatedAt });
+        } else if (op.type === "delete") {
+          const query = version === undefined ? "" : `?version=${version}`;
+          const result = await request(`${path}${query}`, { method: "DELETE" });
+          applySaved(op.chatId, { purgeAt: result.purgeAt, version: result.version });
+        }
+      };
+      try {
+        if (["append", "update", "delete"].includes(op.type)) {
+          const version = getKnownVersion(op.chatId);
+          try {
+            await write(version);
+          } catch (err) {
+            const current = err.details?.version;
+            if (err.status !== 409 || current === undefined || current === version) throw err;
+            // Another session wrote first: take its copy in, then send ours on top
+            await refreshChat(op.chatId);
+            savedVersionsRef.current.set(op.chatId, current);
+            await write(current);
           }
+        } else if (op.type === "restore") {
+          await request(`${path}/restore`, { method: "POST" });
+        } else if (op.type === "purge") {
+          await request(`${path}?permanent=true`, { method: "DELETE" });
         }
       } catch (err) {
-        console.error("Failed to sync chat", err);
+        // Already there (e.g. saved by the stream endpoint) or already gone
+        if (op.type === "append" && err.status === 409) return;
+        if ((op.type === "delete" || op.type === "purge") && err.status === 404) return;
+        throw err;
+      }
+    },
+    [apiRequest, applySaved, authUser?.id, getKnownVersion, refreshChat, refreshSession]
+  );
+
+  // A signed-in chat is created on the server before its first message goes
+  // out, so the stream endpoint saves the opening exchange too. If that fails
+  // (say, offline) the sync queue creates the chat once the reply is in.
+  const ensureServerChat = useCallback(
+    async (chat) => {
+      if (!authUser || chat.serverId || chat.messages.length > 0) return chat.serverId ?? null;
+      try {
+        const { chat: saved } = await apiRequest("/api/chats", {
+          method: "POST",
+          withAuth: true,
+          body: {
+            clientId: chat.id,
+            ...(chat.titleSource === "manual" ? { title: chat.title } : {}),
+            folderId: chat.folderId ?? null,
+            pinned: Boolean(chat.pinned),
+            tags: chat.tags ?? [],
+            archived: Boolean(chat.archived),
+          },
+        });
+        serverIdsRef.current.set(chat.id, saved._id);
+        await assignServerId(chat.id, saved._id);
+        applySaved(chat.id, {
+          serverId: saved._id,
+          version: saved.version,
+          updatedAt: saved.updatedAt,
+        });
+        return saved._id;
+      } catch (err) {
+        console.error("Unable to create chat before sending", err);
+        return null;
       }
     },
-    [accessToken, apiRequest, authUser]
+    [apiRequest, applySaved, authUser]
   );
 
+  // Custom submit handler to create chat on first message
+  const submittingRef = useRef(false);
+  const handleSubmit = useCallback(
+    async (e) => {
+      e?.preventDefault();
+      // Wait for the history so the new turn lands on the right branch
+      if (currentChat?.loaded === false || submittingRef.current || !input.trim()) return;
+
+      let chat = currentChat;
+      // If no current chat exists, create one
+      if (!chat) {
+        chat = {
+          id: Date.now().toString(),
+          title: "New Chat",
+          messages: [],
+          ...(authUser ? { ownerId: authUser.id } : {}),
+          createdAt: new Date().toISOString(),
+        };
+        setChats((prev) => [chat, ...prev]);
+        setCurrentChatId(chat.id);
+      }
+
+      submittingRef.current = true;
+      try {
+        // The hook's body only picks up the new id on the next render
+        const chatId = await ensureServerChat(chat);
+        originalHandleSubmit(e, chatId ? { body: { chatId } } : undefined);
+      } finally {
+        submittingRef.current = false;
+      }
+    },
+    [authUser, currentChat, ensureServerChat, input, originalHandleSubmit]
+  );
+
+  // Inbound sync: pull chats changed elsewhere with the server's `since`
+  // cursor, then reconcile them with the local copies.
+  const pullingRef = useRef(false);
+  // Set when a pull is asked for while one is running, so it runs once more
+  const pullAgainRef = useRef(false);
+
+  const pullChanges = useCallback(async () => {
+    if (!accessToken) return;
+    if (pullingRef.current) {
+      pullAgainRef.current = true;
+      return;
+    }
+    pullingRef.current = true;
+    try {
+      let hasMore = true;
+      while (hasMore || pullAgainRef.current) {
+        pullAgainRef.current = false;
+        const since = syncCursorRef.current;
+        const data = await apiRequest(
+          `/api/chats/changes${since ? `?since=${encodeURIComponent(since)}` : ""}`,
+          { method: "GET", withAuth: true }
+        );
+        syncCursorRef.current = data.cursor ?? since;
+        hasMore = Boolean(data.hasMore);
+        const changes = data.changes || [];
+        // Chats deleted for good elsewhere; there's nothing left to fetch
+        const deleted = new Set(data.deleted || []);
+        if (changes.length === 0 && deleted.size === 0) continue;
+
+        const queued = await readOps();
+        const byServerId = new Map(changes.map((change) => [change.id, change]));
+        // Chats with their history loaded need the messages, not just the summary
+        const stale = chatsRef.current
+          .filter((c) => c.loaded && byServerId.get(c.serverId)?.version > (c.version ?? -1))
+          .map((c) => c.id);
+        setChats((prev) => {
+          // Local ids too: a chat this browser is still creating comes back
+          // with its clientId before the create response brings the server id
+          const known = new Set(prev.flatMap((c) => [c.serverId, c.id]).filter(Boolean));
+          const next = prev.filter((c) => !deleted.has(c.serverId)).map((c) => {
+            const change = c.serverId && byServerId.get(c.serverId);
+            if (!change || c.loaded || c.version === change.version) return c;
+            return rebaseChat(c, fromChatSummary(change), queued);
+          });
+          const added = changes
+            .filter((change) => !known.has(change.id) && !known.has(change.clientId))
+            .map(fromChatSummary);
+          return [...added, ...next];
+        });
+        await Promise.all(stale.map((chatId) => refreshChat(chatId)));
+      }
+    } catch (err) {
+      console.error("Unable to pull chat changes", err);
+    } finally {
+      pullingRef.current = false;
+    }
+  }, [accessToken, apiRequest, refreshChat]);
+
+  const pendingChanges = `${syncStatus.pending} change${syncStatus.pending === 1 ? "" : "s"}`;
+  const syncLabel = {
+    synced: "All changes saved",
+    syncing: `Saving ${pendingChanges}…`,
+    offline: `Offline · ${pendingChanges} waiting`,
+    error: `Couldn't save ${pendingChanges} · retrying`,
+  }[syncStatus.state];
+
+  const sendOpRef = useRef(sendOp);
   useEffect(() => {
-    if (!authUser) return;
-    const chat = chats.find((c) => c.id === currentChatId);
-    if (chat && chat.messages && chat.messages.length > 0) {
-      syncChatToServer(chat);
+    sendOpRef.current = sendOp;
+  }, [sendOp]);
+
+  useEffect(() => {
+    if (!authUser) {
+      setSyncStatus({ state: "synced", pending: 0 });
+      return undefined;
     }
-  }, [authUser, chats, currentChatId, syncChatToServer]);
+    const runner = createSyncRunner({
+      send: (op) => sendOpRef.current(op),
+      onStatus: setSyncStatus,
+      onDrop: (op, err) => {
+        if (op.userId !== authUser.id) return;
+        console.error("Dropped sync operation", op, err);
+        messageApi.error("A change couldn't be saved and was undone.");
+        refreshChat(op.chatId);
+      },
+    });
+    syncRunnerRef.current = runner;
+    runner.flush();
+    return () => {
+      runner.stop();
+      syncRunnerRef.current = null;
+    };
+  }, [authUser, messageApi, refreshChat]);
+
+  useEffect(() => {
+    if (!authUser) return undefined;
+    const pull = () => {
+      if (document.visibilityState === "visible") pullChanges();
+    };
+    const timer = setInterval(pull, SYNC_PULL_INTERVAL_MS);
+    window.addEventListener("focus", pull);
+    window.addEventListener("online", pull);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("focus", pull);
+      window.removeEventListener("online", pull);
+    };
+  }, [authUser, pullChanges]);
+
+  // Live events for changes made in other tabs and devices. Renames and
+  // permanent deletes apply straight away; everything else goes through a
+  // pull, which also reconciles with changes still queued here.
+  const handleChatEvent = useCallback(
+    (event) => {
+      if (event.type === "deleted" && event.permanent) {
+        setChats((prev) => prev.filter((c) => c.serverId !== event.chatId));
+        return;
+      }
+      if (event.type === "renamed") {
+        setChats((prev) =>
+          prev.map((c) => (c.serverId === event.chatId ? applyServerTitle(c, event) : c))
+        );
+      }
+      pullChanges();
+    },
+    [pullChanges]
+  );
+
+  useEffect(() => {
+    if (!authUser?.id || !accessToken) return undefined;
+    return subscribeChatEvents({
+      token: accessToken,
+      onEvent: handleChatEvent,
+      // Anything sent while the stream was down is only found by pulling
+      onOpen: pullChanges,
+      onUnauthorized: refreshSession,
+    });
+  }, [accessToken, authUser?.id, handleChatEvent, pullChanges, refreshSession]);
 
   const handleLogout = useCallback(async () => {
     try {
@@ -417,13 +1103,81 @@ export default function Chat({ themeMode, onThemeChange }) {
     }
   }, [apiRequest]);
 
-  useEffect(() => {
-    refreshSession().then((user) => {
-      if (user) {
-        loadUserChats();
+  // Chats made before signing in only exist in this browser. The first
+  // signed-in load hands them to the account, then drops the local copies.
+  // Chats another account started here (`ownerId`) are left alone.
+  const claimLocalChats = useCallback(async (userId) => {
+    let local = [];
+    try {
+      local = JSON.parse(localStorage.getItem("wowziri_chats") || "[]").filter(
+        (chat) =>
+          !chat.serverId &&
+          chat.messages?.length > 0 &&
+          (!chat.ownerId || chat.ownerId === userId)
+      );
+    } catch (err) {
+      return;
+    }
+    const claimed = new Set();
+    for (let start = 0; start < local.length; start += CLAIM_BATCH_SIZE) {
+      try {
+        const data = await apiRequest("/api/chats/claim", {
+          method: "POST",
+          body: {
+            chats: local.slice(start, start + CLAIM_BATCH_SIZE).map((chat) => ({
+              clientId: chat.id,
+              title: chat.title,
+              titleSource: chat.titleSource,
+              messages: normalizeTree(chat.messages),
+              activeLeafId: chat.activeLeafId ?? null,
+              pinned: Boolean(chat.pinned),
+              archived: Boolean(chat.archived),
+              tags: chat.tags ?? [],
+              deletedAt: chat.deletedAt ?? null,
+              createdAt: chat.createdAt,
+              updatedAt: chat.updatedAt,
+            })),
+          },
+          withAuth: true,
+        });
+        (data.chats || []).forEach((chat) => claimed.add(chat.clientId));
+        (data.errors || []).forEach((item) =>
+          console.error(`Unable to save local chat ${item.clientId}:`, item.error)
+        );
+      } catch (err) {
+        // Left in place; the next signed-in load tries again
+        console.error("Unable to save local chats", err);
+        break;
       }
-    });
-  }, [loadUserChats, refreshSession]);
+    }
+    if (claimed.size > 0) {
+      setChats((prev) => prev.filter((c) => !claimed.has(c.id)));
+      const count = `${claimed.size} chat${claimed.size === 1 ? "" : "s"}`;
+      messageApi.success(`Saved ${count} from this browser to your account`);
+    }
+  }, [apiRequest, messageApi]);
+
+  // Restores the session from the refresh cookie once, on load
+  const refreshSessionRef = useRef(refreshSession);
+  useEffect(() => {
+    refreshSessionRef.current();
+  }, []);
+
+  // Claiming and the full list load happen once per sign-in, not again every
+  // time the access token is rotated
+  const loadedUserRef = useRef(null);
+  useEffect(() => {
+    const userId = authUser?.id ?? null;
+    if (userId === loadedUserRef.current) return;
+    loadedUserRef.current = userId;
+    if (!userId) return;
+    (async () => {
+      await claimLocalChats(userId);
+      await loadUserChats();
+      // The list is fresh, so changes are only pulled from here on
+      pullChanges();
+    })();
+  }, [authUser?.id, claimLocalChats, loadUserChats, pullChanges]);
 
   // Chat management functions
   const createNewChat = useCallback(() => {
@@ -431,42 +1185,398 @@ export default function Chat({ themeMode, onThemeChange }) {
       id: Date.now().toString(),
       title: "New Chat",
       messages: [],
+      ...(authUser ? { ownerId: authUser.id } : {}),
       createdAt: new Date().toISOString(),
     };
     setChats((prev) => [newChat, ...prev]);
     setCurrentChatId(newChat.id);
     setMessages([]);
-  }, [setMessages]);
+  }, [authUser, setMessages]);
 
+  const restoreChat = useCallback(
+    (target) => {
+      setChats((prev) =>
+        prev.map((c) => (c.id === target.id ? { ...c, deletedAt: null, purgeAt: undefined } : c))
+      );
+      if (authUser && (target.serverId || target.synced)) {
+        queueOp({ type: "restore", chatId: target.id, serverId: target.serverId });
+      }
+    },
+    [authUser, queueOp]
+  );
+
+  // Deleting only moves the chat to the trash, with a few seconds to undo
   const deleteChat = useCallback(
     (chatId) => {
-      setChats((prev) => {
-        const target = prev.find((c) => c.id === chatId);
-        if (target?.serverId && authUser) {
-          apiRequest(`/api/chats/${target.serverId}`, { method: "DELETE", withAuth: true }).catch((err) =>
-            console.error("Unable to delete remote chat", err)
-          );
-        }
-        const filtered = prev.filter((c) => c.id !== chatId);
-        // If deleting current chat, switch to another or clear
-        if (chatId === currentChatId) {
-          if (filtered.length > 0) {
-            setCurrentChatId(filtered[0].id);
-          } else {
-            setCurrentChatId(null);
-            setMessages([]);
-          }
+      const target = chats.find((c) => c.id === chatId);
+      if (!target) return;
+      setChats((prev) =>
+        prev.map((c) => (c.id === chatId ? { ...c, deletedAt: new Date().toISOString() } : c))
+      );
+      if (authUser && (target.serverId || target.synced)) {
+        queueOp({ type: "delete", chatId, serverId: target.serverId });
+      }
+      // If deleting current chat, switch to another or clear
+      if (chatId === currentChatId) {
+        const next = chats.find((c) => c.id !== chatId && !c.deletedAt && !c.archived);
+        if (next) {
+          setCurrentChatId(next.id);
+        } else {
+          setCurrentChatId(null);
+          setMessages([]);
         }
-        return filtered;
+      }
+      const key = `trash-${chatId}`;
+      messageApi.open({
+        key,
+        type: "info",
+        duration: 6,
+        content: (
+          <span>
+            Chat moved to trash.
+            <Button
+              type="link"
+              size="small"
+              onClick={() => {
+                messageApi.destroy(key);
+                restoreChat(target);
+              }}
+            >
+              Undo
+            </Button>
+          </span>
+        ),
       });
     },
-    [apiRequest, authUser, currentChatId, setMessages]
+    [authUser, chats, currentChatId, messageApi, queueOp, restoreChat, setMessages]
+  );
+
+  const deleteChatForever = useCallback(
+    (target) => {
+      setChats((prev) => prev.filter((c) => c.id !== target.id));
+      if (authUser && (target.serverId || target.synced)) {
+        queueOp({ type: "purge", chatId: target.id, serverId: target.serverId });
+      }
+    },
+    [authUser, queueOp]
   );
 
   const switchChat = useCallback((chatId) => {
     setCurrentChatId(chatId);
   }, []);
 
+  const [folders, setFolders] = useState([]);
+  const [sidebarView, setSidebarView] = useState("chats");
+  const [tagFilter, setTagFilter] = useState(null);
+  const [openFolders, setOpenFolders] = useState(() => new Set());
+  const [draggingChatId, setDraggingChatId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [folderDialog, setFolderDialog] = useState(null);
+  const [tagsDialog, setTagsDialog] = useState(null);
+  const [renameDialog, setRenameDialog] = useState(null);
+
+  useEffect(() => {
+    if (!authUser) {
+      setFolders([]);
+      return;
+    }
+    apiRequest("/api/folders", { method: "GET", withAuth: true })
+      .then((data) => setFolders(data.folders || []))
+      .catch((err) => console.error("Unable to load folders", err));
+  }, [apiRequest, authUser]);
+
+  useEffect(() => {
+    const params = {};
+    if (sidebarView === "archived") params.archived = "true";
+    if (sidebarView === "trash") params.trashed = "true";
+    if (tagFilter) params.tag = tagFilter;
+    if (Object.keys(params).length > 0) fetchChatList(params);
+  }, [fetchChatList, sidebarView, tagFilter]);
+
+  // Applies pin/folder/tag/archive changes locally right away and queues them
+  // for the server. Chats not saved yet take them along when they're created.
+  const updateChatMeta = useCallback(
+    (chatId, patch) => {
+      const target = chats.find((c) => c.id === chatId);
+      if (!target) return;
+      setChats((prev) => prev.map((c) => (c.id === chatId ? { ...c, ...patch } : c)));
+      if (authUser && (target.serverId || target.synced)) {
+        queueOp({ type: "update", chatId, serverId: target.serverId, patch });
+      }
+    },
+    [authUser, chats, queueOp]
+  );
+
+  // Marked manual so the server never replaces it with a generated title
+  const renameChat = useCallback(
+    (chatId, title) => {
+      setChats((prev) =>
+        prev.map((c) =>
+          c.id === chatId
+            ? {
+                ...c,
+                titleSource: "manual",
+                synced: c.serverId && c.synced ? { ...c.synced, title } : c.synced,
+              }
+            : c
+        )
+      );
+      updateChatMeta(chatId, { title });
+    },
+    [updateChatMeta]
+  );
+
+  const toggleFolder = useCallback(
+    (folderId) => {
+      setOpenFolders((prev) => {
+        const next = new Set(prev);
+        if (next.has(folderId)) {
+          next.delete(folderId);
+        } else {
+          next.add(folderId);
+          fetchChatList({ folderId });
+        }
+        return next;
+      });
+    },
+    [fetchChatList]
+  );
+
+  const saveFolder = useCallback(async () => {
+    const name = folderDialog?.name.trim();
+    if (!name) return;
+    try {
+      if (folderDialog.folder) {
+        const { folder } = await apiRequest(`/api/folders/${folderDialog.folder._id}`, {
+          method: "PUT",
+          body: { name },
+          withAuth: true,
+        });
+        setFolders((prev) => prev.map((f) => (f._id === folder._id ? folder : f)));
+      } else {
+        const { folder } = await apiRequest("/api/folders", {
+          method: "POST",
+          body: { name },
+          withAuth: true,
+        });
+        setFolders((prev) => [...prev, folder].sort((a, b) => a.name.localeCompare(b.name)));
+      }
+      setFolderDialog(null);
+    } catch (err) {
+      messageApi.error(err.message || "Unable to save folder");
+    }
+  }, [apiRequest, folderDialog, messageApi]);
+
+  const deleteFolder = useCallback(
+    async (folder) => {
+      try {
+        await apiRequest(`/api/folders/${folder._id}`, { method: "DELETE", withAuth: true });
+        setFolders((prev) => prev.filter((f) => f._id !== folder._id));
+        // Its chats move back to the main list
+        setChats((prev) =>
+          prev.map((c) => (c.folderId === folder._id ? { ...c, folderId: null } : c))
+        );
+      } catch (err) {
+        messageApi.error(err.message || "Unable to delete folder");
+      }
+    },
+    [apiRequest, messageApi]
+  );
+
+  const fetchFile = useCallback(
+    async (path) => {
+      const res = await fetch(path, {
+        headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
+        credentials: "include",
+      });
+      if (!res.ok) throw new Error(`Export failed with status ${res.status}`);
+      const disposition = res.headers.get("Content-Disposition") || "";
+      return { blob: await res.blob(), filename: /filename="([^"]+)"/.exec(disposition)?.[1] };
+    },
+    [accessToken]
+  );
+
+  // Saved chats are rendered by the API; local ones right here
+  const exportChat = useCallback(
+    async (chat, format) => {
+      const type = format === "print" ? "html" : format;
+      // Opened before any await so popup blockers allow it
+      const printWindow = format === "print" ? window.open("", "_blank") : null;
+      try {
+        let blob;
+        let filename;
+        if (chat.serverId && authUser) {
+          const path = `/api/chats/${chat.serverId}/export?format=${type}`;
+          ({ blob, filename } = await fetchFile(path));
+        } else {
+          const { render, contentType, extension } = EXPORT_FORMATS[type];
+          blob = new Blob([render(chat)], { type: contentType });
+          filename = getExportFileName(chat, extension);
+        }
+        if (printWindow) {
+          printWindow.document.open();
+          printWindow.document.write(await blob.text());
+          printWindow.document.close();
+          printWindow.focus();
+          printWindow.print();
+          return;
+        }
+        downloadFile(blob, filename);
+      } catch (err) {
+        printWindow?.close();
+        console.error("Export failed", err);
+        messageApi.error("Couldn't export that chat. Please try again.");
+      }
+    },
+    [authUser, fetchFile, messageApi]
+  );
+
+  const exportAllChats = useCallback(
+    async (format) => {
+      try {
+        const { blob, filename } = await fetchFile(`/api/chats/export?format=${format}`);
+        downloadFile(blob, filename || "wowziri-chats.zip");
+      } catch (err) {
+        console.error("Export failed", err);
+        messageApi.error("Couldn't export your chats. Please try again.");
+      }
+    },
+    [fetchFile, messageApi]
+  );
+
+  // ChatGPT exports can be large, so the file goes up as plain text rather
+  // than through apiRequest's JSON body.
+  const importInputRef = useRef(null);
+  const [importing, setImporting] = useState(false);
+  const importChats = useCallback(
+    async (file) => {
+      if (!file) return;
+      setImporting(true);
+      try {
+        const res = await fetch("/api/chats/import", {
+          method: "POST",
+          headers: {
+            "Content-Type": "text/plain",
+            ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+          },
+          credentials: "include",
+          body: await file.text(),
+        });
+        const data = await res.json().catch(() => ({}));
+        const imported = data.imported?.length ?? 0;
+        const existing = data.skipped?.length ?? 0;
+        const failed = data.errors ?? [];
+        if (imported > 0) {
+          messageApi.success(`Imported ${imported} chat${imported === 1 ? "" : "s"}`);
+          await loadUserChats();
+        }
+        if (existing > 0) {
+          messageApi.info(
+            `${existing} chat${existing === 1 ? " was" : "s were"} already imported`
+          );
+        }
+        if (failed.length > 0) {
+          const details = failed
+            .slice(0, 3)
+            .map((item) => `${item.title || `#${item.index + 1}`}: ${item.error}`)
+            .join("; ");
+          const more = failed.length > 3 ? ` (and ${failed.length - 3} more)` : "";
+          messageApi.warning(`Skipped ${failed.length} conversation(s). ${details}${more}`, 8);
+        } else if (!res.ok) {
+          messageApi.error(data.error || "Couldn't import that file.");
+        }
+      } catch (err) {
+        console.error("Import failed", err);
+        messageApi.error("Couldn't import that file. Please try again.");
+      } finally {
+        setImporting(false);
+      }
+    },
+    [accessToken, loadUserChats, messageApi]
+  );
+
+  // Share links are snapshots: the dialog lists the ones already made for a
+  // chat and can make a new one of what it shows now.
+  const [shareDialog, setShareDialog] = useState(null);
+  const openShareDialog = useCallback(
+    async (chat) => {
+      setShareDialog({ chat, shares: [], expiresInDays: null, loading: true });
+      try {
+        const data = await apiRequest(`/api/shares?chatId=${chat.serverId}`, {
+          method: "GET",
+          withAuth: true,
+        });
+        setShareDialog((prev) =>
+          prev?.chat.id === chat.id ? { ...prev, shares: data.shares || [], loading: false } : prev
+        );
+      } catch (err) {
+        console.error("Unable to load share links", err);
+        setShareDialog((prev) => (prev ? { ...prev, loading: false } : prev));
+      }
+    },
+    [apiRequest]
+  );
+
+  const copyShareLink = useCallback(
+    async (slug) => {
+      try {
+        await navigator.clipboard.writeText(`${window.location.origin}/share/${slug}`);
+        messageApi.success("Link copied");
+      } catch (err) {
+        messageApi.error("Couldn't copy the link.");
+      }
+    },
+    [messageApi]
+  );
+
+  const createShareLink = useCallback(async () => {
+    if (!shareDialog) return;
+    setShareDialog((prev) => ({ ...prev, loading: true }));
+    try {
+      const { share } = await apiRequest("/api/shares", {
+        method: "POST",
+        body: { chatId: shareDialog.chat.serverId, expiresInDays: shareDialog.expiresInDays },
+        withAuth: true,
+      });
+      setShareDialog((prev) =>
+        prev ? { ...prev, shares: [share, ...prev.shares], loading: false } : prev
+      );
+      copyShareLink(share.slug);
+    } catch (err) {
+      messageApi.error(err.message || "Couldn't create a share link.");
+      setShareDialog((prev) => (prev ? { ...prev, loading: false } : prev));
+    }
+  }, [apiRequest, copyShareLink, messageApi, shareDialog]);
+
+  const revokeShareLink = useCallback(
+    async (slug) => {
+      try {
+        await apiRequest(`/api/shares/${slug}`, { method: "DELETE", withAuth: true });
+        setShareDialog((prev) =>
+          prev ? { ...prev, shares: prev.shares.filter((share) => share.slug !== slug) } : prev
+        );
+        messageApi.success("Link revoked");
+      } catch (err) {
+        messageApi.error(err.message || "Couldn't revoke that link.");
+      }
+    },
+    [apiRequest, messageApi]
+  );
+
+  // Drop targets: "pinned", "none" (unfiled) or a folder id
+  const moveChat = useCallback(
+    (chatId, target) => {
+      if (target === "pinned") {
+        updateChatMeta(chatId, { pinned: true });
+      } else if (target === "none") {
+        updateChatMeta(chatId, { pinned: false, folderId: null });
+      } else {
+        updateChatMeta(chatId, { pinned: false, folderId: target });
+      }
+    },
+    [updateChatMeta]
+  );
+
   useEffect(() => {
     if (!isBrowser) return undefined;
     const body = document.body;
@@ -505,99 +1615,623 @@ export default function Chat({ themeMode, onThemeChange }) {
     const utterance = new window.SpeechSynthesisUtterance(
       assistantMessage.content
     );
-    window.speechSynthesis.cancel();
-    window.speechSynthesis.speak(utterance);
-    return () => {
-      window.speechSynthesis.cancel();
-    };
-  }, [messages, voiceEnabled, isBrowser]);
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+    return () => {
+      window.speechSynthesis.cancel();
+    };
+  }, [messages, voiceEnabled, isBrowser]);
+
+  useEffect(
+    () => () => {
+      recognitionRef.current?.abort();
+    },
+    []
+  );
+
+  const stopRecording = useCallback(() => {
+    recognitionRef.current?.stop();
+  }, []);
+
+  const startRecording = useCallback(() => {
+    if (isRecording) {
+      stopRecording();
+      return;
+    }
+    if (!supportsSpeech) {
+      messageApi.warning(
+        "Speech recognition is not supported in this browser."
+      );
+      return;
+    }
+
+    const recognition = new SpeechRecognition();
+    recognition.continuous = false;
+    recognition.interimResults = true;
+    recognition.lang = "en-US";
+
+    transcriptRef.current = "";
+    recognitionRef.current = recognition;
+
+    recognition.onstart = () => setIsRecording(true);
+    recognition.onerror = (event) => {
+      setIsRecording(false);
+      messageApi.error(`Voice input error: ${event.error}`);
+    };
+    recognition.onresult = (event) => {
+      let interimTranscript = "";
+      for (let i = event.resultIndex; i < event.results.length; i += 1) {
+        const result = event.results[i];
+        const transcript = result[0].transcript;
+        if (result.isFinal) {
+          transcriptRef.current += `${transcript} `;
+        } else {
+          interimTranscript += transcript;
+        }
+      }
+      const combined = `${transcriptRef.current} ${interimTranscript}`.trim();
+      setInput(combined);
+    };
+    recognition.onend = async () => {
+      setIsRecording(false);
+      recognitionRef.current = null;
+      const finalText = transcriptRef.current.trim();
+      if (!finalText) return;
+      setInput("");
+      await append({
+        role: "user",
+        content: finalText,
+      });
+    };
+
+    recognition.start();
+  }, [
+    SpeechRecognition,
+    append,
+    isRecording,
+    messageApi,
+    setInput,
+    stopRecording,
+    supportsSpeech,
+  ]);
+
+  // Dropping the fetch is normally enough for the server to stop generating,
+  // but proxies don't always forward the disconnect, so cancel explicitly too.
+  const handleStop = useCallback(() => {
+    const streamId = streamIdRef.current;
+    stop();
+    // Stopped before the reply's headers arrived; dropping the fetch is all we can do
+    if (!streamId) return;
+    fetch(`/api/chat/${streamId}/cancel`, {
+      method: "POST",
+      headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
+      credentials: "include",
+    }).catch((err) => console.error("Unable to cancel generation", err));
+  }, [accessToken, stop]);
+
+  const currentTree = useMemo(() => normalizeTree(currentChat?.messages), [currentChat?.messages]);
+
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  // Message to bring into view once its chat has loaded
+  const [scrollTarget, setScrollTarget] = useState(null);
+
+  useEffect(() => {
+    const q = searchQuery.trim();
+    if (!authUser || !q) {
+      setSearchResults(null);
+      return undefined;
+    }
+    let active = true;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const data = await apiRequest(`/api/chats/search?q=${encodeURIComponent(q)}`, {
+          method: "GET",
+          withAuth: true,
+        });
+        if (active) setSearchResults(data.results || []);
+      } catch (err) {
+        console.error("Search failed", err);
+      } finally {
+        if (active) setSearching(false);
+      }
+    }, 300);
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [apiRequest, authUser, searchQuery]);
+
+  const openSearchHit = useCallback(
+    (result, match) => {
+      const serverId = String(result.chatId);
+      const existing = chats.find((c) => c.serverId === serverId);
+      if (!existing) {
+        setChats((prev) => [
+          fromChatSummary({ id: serverId, title: result.title, updatedAt: result.updatedAt }),
+          ...prev,
+        ]);
+      }
+      const chatId = existing?.id ?? serverId;
+      setCurrentChatId(chatId);
+      setScrollTarget(match ? { chatId, messageId: match.messageId } : null);
+      if (isMobile) setSidebarOpen(false);
+    },
+    [chats, isMobile]
+  );
+
+  useEffect(() => {
+    if (!scrollTarget || scrollTarget.chatId !== currentChatId || historyLoading) return;
+    if (loadedChatIdRef.current !== currentChatId) return;
+    if (!messages.some((m) => m.id === scrollTarget.messageId)) {
+      // The hit may sit on a branch that isn't shown; switch to it first
+      if (findNode(currentTree, scrollTarget.messageId)) {
+        const leaf = getLatestLeaf(currentTree, scrollTarget.messageId);
+        setMessages(getActivePath(currentTree, leaf.id));
+      } else {
+        setScrollTarget(null);
+      }
+      return;
+    }
+    document
+      .getElementById(`message-${scrollTarget.messageId}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+    setScrollTarget(null);
+  }, [currentChatId, currentTree, historyLoading, messages, scrollTarget, setMessages]);
+
+  const renderHighlighted = (text, highlights = []) => {
+    const parts = [];
+    let cursor = 0;
+    highlights.forEach(([start, end]) => {
+      if (start > cursor) parts.push(text.slice(cursor, start));
+      parts.push(
+        <mark
+          key={start}
+          style={{ background: "rgba(16,163,127,0.3)", color: "inherit", padding: 0 }}
+        >
+          {text.slice(start, end)}
+        </mark>
+      );
+      cursor = end;
+    });
+    parts.push(text.slice(cursor));
+    return parts;
+  };
+
+  const renderChatItem = (chat) => (
+    <div
+      key={chat.id}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData("text/plain", chat.id);
+        e.dataTransfer.effectAllowed = "move";
+        setDraggingChatId(chat.id);
+      }}
+      onDragEnd={() => {
+        setDraggingChatId(null);
+        setDropTarget(null);
+      }}
+      onClick={() => {
+        switchChat(chat.id);
+        if (isMobile) setSidebarOpen(false);
+      }}
+      style={{
+        padding: "12px 14px",
+        margin: "4px 0",
+        borderRadius: 12,
+        background:
+          chat.id === currentChatId
+            ? palette.sidebarHover
+            : "transparent",
+        border: `1px solid ${
+          chat.id === currentChatId ? palette.border : "transparent"
+        }`,
+        cursor: "pointer",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: 8,
+        transition: "all 0.2s ease",
+      }}
+      onMouseOver={(e) => {
+        if (chat.id !== currentChatId) {
+          e.currentTarget.style.background = palette.sidebarHover;
+        }
+      }}
+      onMouseOut={(e) => {
+        if (chat.id !== currentChatId) {
+          e.currentTarget.style.background = "transparent";
+        }
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 10,
+          flex: 1,
+          minWidth: 0,
+        }}
+      >
+        {chat.pinned ? (
+          <PushpinOutlined style={{ color: palette.accent, fontSize: 16, flexShrink: 0 }} />
+        ) : (
+          <MessageOutlined
+            style={{ color: palette.icon, fontSize: 16, flexShrink: 0 }}
+          />
+        )}
+        <div style={{ display: "flex", flexDirection: "column", minWidth: 0 }}>
+          <Text
+            style={{
+              color: palette.text,
+              fontSize: 14,
+              overflow: "hidden",
+              textOverflow: "ellipsis",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {chat.title}
+          </Text>
+          {chat.preview?.content && (
+            <Text
+              style={{
+                color: palette.hint,
+                fontSize: 12,
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                whiteSpace: "nowrap",
+              }}
+            >
+              {chat.preview.content}
+            </Text>
+          )}
+          {chat.tags?.length > 0 && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 2 }}>
+              {chat.tags.map((tag) => (
+                <span
+                  key={tag}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setTagFilter(tag);
+                  }}
+                  style={{ color: palette.accent, fontSize: 12, cursor: "pointer" }}
+                >
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+      <Dropdown
+        trigger={["click"]}
+        menu={{
+          items: [
+            { key: "rename", label: "Rename" },
+            { key: "pin", label: chat.pinned ? "Unpin" : "Pin" },
+            ...(folders.length > 0
+              ? [
+                  {
+                    key: "move",
+                    label: "Move to folder",
+                    children: [
+                      { key: "folder:none", label: "No folder", disabled: !chat.folderId },
+                      ...folders.map((folder) => ({
+                        key: `folder:${folder._id}`,
+                        label: folder.name,
+                        disabled: chat.folderId === folder._id,
+                      })),
+                    ],
+                  },
+                ]
+              : []),
+            { key: "tags", label: "Edit tags" },
+            ...(authUser && chat.serverId ? [{ key: "share", label: "Share link" }] : []),
+            { key: "export", label: "Export", children: EXPORT_MENU_ITEMS },
+            { key: "archive", label: chat.archived ? "Unarchive" : "Archive" },
+            { type: "divider" },
+            { key: "delete", label: "Delete", danger: true },
+          ],
+          onClick: ({ key, domEvent }) => {
+            domEvent.stopPropagation();
+            if (key === "rename") setRenameDialog({ chatId: chat.id, title: chat.title });
+            if (key === "pin") updateChatMeta(chat.id, { pinned: !chat.pinned });
+            if (key === "tags") setTagsDialog({ chatId: chat.id, tags: chat.tags ?? [] });
+            if (key === "share") openShareDialog(chat);
+            if (key === "archive") updateChatMeta(chat.id, { archived: !chat.archived });
+            if (key === "delete") deleteChat(chat.id);
+            if (key.startsWith("export:")) exportChat(chat, key.slice("export:".length));
+            if (key.startsWith("folder:")) {
+              const folderId = key.slice("folder:".length);
+              updateChatMeta(chat.id, { folderId: folderId === "none" ? null : folderId });
+            }
+          },
+        }}
+      >
+        <MoreOutlined
+          onClick={(e) => e.stopPropagation()}
+          style={{ color: palette.hint, fontSize: 16, padding: 4, flexShrink: 0 }}
+          aria-label="Chat actions"
+        />
+      </Dropdown>
+    </div>
+  );
+
+  // A section of the sidebar that chats can be dragged into
+  const renderChatGroup = ({ key, target, header, items, open = true }) => (
+    <div
+      key={key}
+      onDragOver={(e) => {
+        if (!draggingChatId) return;
+        e.preventDefault();
+        setDropTarget(key);
+      }}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+      }}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDropTarget(null);
+        moveChat(e.dataTransfer.getData("text/plain"), target);
+      }}
+      style={{
+        borderRadius: 12,
+        marginBottom: 6,
+        outline: dropTarget === key ? `1px dashed ${palette.accent}` : "none",
+      }}
+    >
+      {header}
+      {open && items.map(renderChatItem)}
+    </div>
+  );
+
+  const groupHeaderStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    padding: "8px 14px 4px",
+    color: palette.hint,
+    fontSize: 12,
+    fontWeight: 600,
+    textTransform: "uppercase",
+    letterSpacing: 0.4,
+  };
+
+  const renderTrashItem = (chat) => {
+    const purgeAt = chat.purgeAt
+      ? Date.parse(chat.purgeAt)
+      : Date.parse(chat.deletedAt) + TRASH_RETENTION_DAYS * DAY_MS;
+    const daysLeft = Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+    return (
+      <div
+        key={chat.id}
+        style={{
+          padding: "10px 14px",
+          margin: "4px 0",
+          borderRadius: 12,
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+        }}
+      >
+        <div style={{ display: "flex", flexDirection: "column", flex: 1, minWidth: 0 }}>
+          <Text
+            style={{
+              color: palette.text,
+              fontSize: 14,
+              overflow: "hidden",
+              textOverflow: "ellipsis",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {chat.title}
+          </Text>
+          <Text style={{ color: palette.hint, fontSize: 12 }}>
+            Deleted forever in {daysLeft} day{daysLeft === 1 ? "" : "s"}
+          </Text>
+        </div>
+        <Tooltip title="Restore">
+          <Button
+            type="text"
+            size="small"
+            icon={<UndoOutlined />}
+            onClick={() => restoreChat(chat)}
+            style={{ color: palette.icon }}
+            aria-label="Restore chat"
+          />
+        </Tooltip>
+        <Tooltip title="Delete forever">
+          <Button
+            type="text"
+            size="small"
+            danger
+            icon={<DeleteOutlined />}
+            onClick={() => deleteChatForever(chat)}
+            aria-label="Delete chat forever"
+          />
+        </Tooltip>
+      </div>
+    );
+  };
 
-  useEffect(
-    () => () => {
-      recognitionRef.current?.abort();
-    },
-    []
-  );
+  const renderChatGroups = () => {
+    if (sidebarView === "trash") {
+      const trashed = chats.filter((chat) => chat.deletedAt);
+      if (trashed.length === 0) {
+        return (
+          <Text style={{ color: palette.hint, display: "block", padding: "12px 14px" }}>
+            Trash is empty.
+          </Text>
+        );
+      }
+      return trashed.map(renderTrashItem);
+    }
 
-  useEffect(() => {
-    try {
-    if (
-      errorMeta &&
-      messages.length > 0 &&
-        messages[messages.length - 1]?.role === "assistant"
-    ) {
-      setErrorMeta(null);
+    const visible = chats.filter(
+      (chat) =>
+        !chat.deletedAt &&
+        (sidebarView === "archived") === Boolean(chat.archived) &&
+        (!tagFilter || chat.tags?.includes(tagFilter))
+    );
+    if (sidebarView === "archived" || tagFilter) {
+      if (visible.length === 0) {
+        return (
+          <Text style={{ color: palette.hint, display: "block", padding: "12px 14px" }}>
+            {tagFilter ? `No chats tagged #${tagFilter}.` : "No archived chats."}
+          </Text>
+        );
       }
-    } catch (error) {
-      console.error("Error in useEffect:", error);
+      return visible.map(renderChatItem);
     }
-  }, [messages, errorMeta]);
 
-  const stopRecording = useCallback(() => {
-    recognitionRef.current?.stop();
-  }, []);
+    const pinned = visible.filter((chat) => chat.pinned);
+    const unpinned = visible.filter((chat) => !chat.pinned);
+    const folderIds = new Set(folders.map((folder) => folder._id));
+    const unfiled = unpinned.filter((chat) => !chat.folderId || !folderIds.has(chat.folderId));
+    return (
+      <>
+        {(pinned.length > 0 || draggingChatId) &&
+          renderChatGroup({
+            key: "pinned",
+            target: "pinned",
+            header: <div style={groupHeaderStyle}>Pinned</div>,
+            items: pinned,
+          })}
+        {folders.map((folder) => {
+          const open = openFolders.has(folder._id);
+          return renderChatGroup({
+            key: folder._id,
+            target: folder._id,
+            open,
+            items: unpinned.filter((chat) => chat.folderId === folder._id),
+            header: (
+              <div
+                onClick={() => toggleFolder(folder._id)}
+                style={{ ...groupHeaderStyle, cursor: "pointer", textTransform: "none" }}
+              >
+                {open ? <FolderOpenOutlined /> : <FolderOutlined />}
+                <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis" }}>
+                  {folder.name}
+                </span>
+                <Dropdown
+                  trigger={["click"]}
+                  menu={{
+                    items: [
+                      { key: "rename", label: "Rename" },
+                      { key: "delete", label: "Delete folder", danger: true },
+                    ],
+                    onClick: ({ key, domEvent }) => {
+                      domEvent.stopPropagation();
+                      if (key === "rename") setFolderDialog({ folder, name: folder.name });
+                      if (key === "delete") deleteFolder(folder);
+                    },
+                  }}
+                >
+                  <MoreOutlined onClick={(e) => e.stopPropagation()} aria-label="Folder actions" />
+                </Dropdown>
+              </div>
+            ),
+          });
+        })}
+        {renderChatGroup({
+          key: "none",
+          target: "none",
+          header:
+            pinned.length > 0 || folders.length > 0 ? (
+              <div style={groupHeaderStyle}>Chats</div>
+            ) : null,
+          items: unfiled,
+        })}
+      </>
+    );
+  };
 
-  const startRecording = useCallback(() => {
-    if (isRecording) {
-      stopRecording();
-      return;
-    }
-    if (!supportsSpeech) {
-      messageApi.warning(
-        "Speech recognition is not supported in this browser."
+  const renderSearchResults = () => {
+    if (searchResults.length === 0) {
+      return (
+        <Text style={{ color: palette.hint, display: "block", padding: "12px 14px" }}>
+          No chats match “{searchQuery.trim()}”.
+        </Text>
       );
-      return;
     }
+    return searchResults.map((result) => (
+      <div
+        key={result.chatId}
+        style={{ padding: "8px 6px", borderBottom: `1px solid ${palette.border}` }}
+      >
+        <div
+          onClick={() => openSearchHit(result, null)}
+          style={{
+            color: palette.text,
+            fontSize: 14,
+            fontWeight: 600,
+            cursor: "pointer",
+            padding: "4px 8px",
+          }}
+        >
+          {renderHighlighted(result.title, result.titleHighlights)}
+        </div>
+        {result.matches.map((match) => (
+          <div
+            key={match.messageId}
+            onClick={() => openSearchHit(result, match)}
+            style={{
+              color: palette.hint,
+              fontSize: 13,
+              lineHeight: 1.5,
+              cursor: "pointer",
+              padding: "4px 8px",
+              borderRadius: 8,
+            }}
+            onMouseOver={(e) => (e.currentTarget.style.background = palette.sidebarHover)}
+            onMouseOut={(e) => (e.currentTarget.style.background = "transparent")}
+          >
+            <span style={{ color: palette.accent }}>
+              {match.role === "user" ? "You: " : "Wowziri: "}
+            </span>
+            {renderHighlighted(match.snippet, match.highlights)}
+          </div>
+        ))}
+      </div>
+    ));
+  };
 
-    const recognition = new SpeechRecognition();
-    recognition.continuous = false;
-    recognition.interimResults = true;
-    recognition.lang = "en-US";
-
-    transcriptRef.current = "";
-    recognitionRef.current = recognition;
-
-    recognition.onstart = () => setIsRecording(true);
-    recognition.onerror = (event) => {
-      setIsRecording(false);
-      messageApi.error(`Voice input error: ${event.error}`);
-    };
-    recognition.onresult = (event) => {
-      let interimTranscript = "";
-      for (let i = event.resultIndex; i < event.results.length; i += 1) {
-        const result = event.results[i];
-        const transcript = result[0].transcript;
-        if (result.isFinal) {
-          transcriptRef.current += `${transcript} `;
-        } else {
-          interimTranscript += transcript;
-        }
-      }
-      const combined = `${transcriptRef.current} ${interimTranscript}`.trim();
-      setInput(combined);
-    };
-    recognition.onend = async () => {
-      setIsRecording(false);
-      recognitionRef.current = null;
-      const finalText = transcriptRef.current.trim();
-      if (!finalText) return;
-      setInput("");
-      await append({
-        role: "user",
-        content: finalText,
-      });
-    };
+  // Shows another version of a message, continuing down its latest branch
+  const switchBranch = useCallback(
+    (messageItem, offset) => {
+      const siblings = getSiblings(currentTree, messageItem);
+      const index = siblings.findIndex((node) => node.id === messageItem.id);
+      const target = siblings[index + offset];
+      if (!target) return;
+      const leaf = getLatestLeaf(currentTree, target.id);
+      setMessages(getActivePath(currentTree, leaf.id));
+    },
+    [currentTree, setMessages]
+  );
 
-    recognition.start();
-  }, [
-    SpeechRecognition,
-    append,
-    isRecording,
-    messageApi,
-    setInput,
-    stopRecording,
-    supportsSpeech,
-  ]);
+  const [editing, setEditing] = useState(null);
+
+  // Sends the edited text as a new sibling, so the original branch is kept
+  const submitEdit = useCallback(async () => {
+    const content = editing?.content.trim();
+    const index = messages.findIndex((m) => m.id === editing?.id);
+    setEditing(null);
+    if (!content || index === -1) return;
+    setMessages(messages.slice(0, index));
+    await append({ role: "user", content });
+  }, [append, editing, messages, setMessages]);
+
+  // Asks again from the user turn before this reply; the old reply stays as
+  // a sibling.
+  const regenerateReply = useCallback(
+    (index) => {
+      setMessages(messages.slice(0, index));
+      reload();
+    },
+    [messages, reload, setMessages]
+  );
 
   const handleThemeToggle = () => {
     onThemeChange(isDark ? "light" : "dark");
@@ -615,11 +2249,84 @@ export default function Chat({ themeMode, onThemeChange }) {
     messages.length > 0 &&
     messages[messages.length - 1].role === "user";
 
+  const renderMessageActions = (messageItem, index) => {
+    const isUser = messageItem.role === "user";
+    const siblings = getSiblings(currentTree, messageItem);
+    const position = siblings.findIndex((node) => node.id === messageItem.id);
+    const actionStyle = { color: palette.hint, padding: "0 4px" };
+    if (isLoading && siblings.length < 2) return null;
+    return (
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: isUser ? "flex-end" : "flex-start",
+          gap: 4,
+          marginTop: 6,
+          fontSize: TYPE_SCALE.small,
+          color: palette.hint,
+        }}
+      >
+        {siblings.length > 1 && position !== -1 && (
+          <>
+            <Button
+              type="text"
+              size="small"
+              icon={<LeftOutlined />}
+              disabled={position === 0 || isLoading}
+              onClick={() => switchBranch(messageItem, -1)}
+              style={actionStyle}
+              aria-label="Previous version"
+            />
+            <span>
+              {position + 1}/{siblings.length}
+            </span>
+            <Button
+              type="text"
+              size="small"
+              icon={<RightOutlined />}
+              disabled={position === siblings.length - 1 || isLoading}
+              onClick={() => switchBranch(messageItem, 1)}
+              style={actionStyle}
+              aria-label="Next version"
+            />
+          </>
+        )}
+        {!isLoading && isUser && (
+          <Tooltip title="Edit">
+            <Button
+              type="text"
+              size="small"
+              icon={<EditOutlined />}
+              onClick={() => setEditing({ id: messageItem.id, content: messageItem.content })}
+              style={actionStyle}
+              aria-label="Edit message"
+            />
+          </Tooltip>
+        )}
+        {!isLoading && !isUser && (
+          <Tooltip title="Regenerate">
+            <Button
+              type="text"
+              size="small"
+              icon={<RedoOutlined />}
+              onClick={() => regenerateReply(index)}
+              style={actionStyle}
+              aria-label="Regenerate reply"
+            />
+          </Tooltip>
+        )}
+      </div>
+    );
+  };
+
   const renderMessage = (messageItem, index) => {
     const isUser = messageItem.role === "user";
+    const isEditing = editing?.id === messageItem.id;
     return (
       <div
         key={`${messageItem.id}_${index}`}
+        id={`message-${messageItem.id}`}
         style={{
           display: "flex",
           justifyContent: isUser ? "flex-end" : "flex-start",
@@ -684,7 +2391,32 @@ export default function Chat({ themeMode, onThemeChange }) {
             >
               {isUser ? "You" : "Wowziri"}
             </Text>
-            {messageItem.content}
+            {isEditing ? (
+              <>
+                <TextArea
+                  value={editing.content}
+                  onChange={(event) => setEditing({ ...editing, content: event.target.value })}
+                  autoSize={{ minRows: 1, maxRows: 8 }}
+                  autoFocus
+                />
+                <div style={{ display: "flex", justifyContent: "flex-end", gap: 8, marginTop: 8 }}>
+                  <Button size="small" onClick={() => setEditing(null)}>
+                    Cancel
+                  </Button>
+                  <Button
+                    size="small"
+                    type="primary"
+                    onClick={submitEdit}
+                    disabled={!editing.content.trim()}
+                  >
+                    Send
+                  </Button>
+                </div>
+              </>
+            ) : (
+              messageItem.content
+            )}
+            {!isEditing && renderMessageActions(messageItem, index)}
           </div>
           {isUser && (
             <div
@@ -889,6 +2621,147 @@ export default function Chat({ themeMode, onThemeChange }) {
         <div className="orb orb--b" />
       </div>
       {contextHolder}
+      <Modal
+        open={Boolean(folderDialog)}
+        title={folderDialog?.folder ? "Rename folder" : "New folder"}
+        okText="Save"
+        onOk={saveFolder}
+        onCancel={() => setFolderDialog(null)}
+        destroyOnClose
+      >
+        <Input
+          autoFocus
+          maxLength={60}
+          value={folderDialog?.name ?? ""}
+          onChange={(e) => setFolderDialog((prev) => ({ ...prev, name: e.target.value }))}
+          onPressEnter={saveFolder}
+          placeholder="Folder name"
+        />
+      </Modal>
+      <Modal
+        open={Boolean(renameDialog)}
+        title="Rename chat"
+        okText="Save"
+        okButtonProps={{ disabled: !renameDialog?.title.trim() }}
+        onOk={() => {
+          renameChat(renameDialog.chatId, renameDialog.title.trim());
+          setRenameDialog(null);
+        }}
+        onCancel={() => setRenameDialog(null)}
+        destroyOnClose
+      >
+        <Input
+          autoFocus
+          maxLength={200}
+          value={renameDialog?.title ?? ""}
+          onChange={(e) => setRenameDialog((prev) => ({ ...prev, title: e.target.value }))}
+          onPressEnter={() => {
+            if (!renameDialog?.title.trim()) return;
+            renameChat(renameDialog.chatId, renameDialog.title.trim());
+            setRenameDialog(null);
+          }}
+          placeholder="Chat title"
+        />
+      </Modal>
+      <Modal
+        open={Boolean(tagsDialog)}
+        title="Edit tags"
+        okText="Save"
+        onOk={() => {
+          updateChatMeta(tagsDialog.chatId, { tags: normalizeTags(tagsDialog.tags) });
+          setTagsDialog(null);
+        }}
+        onCancel={() => setTagsDialog(null)}
+        destroyOnClose
+      >
+        <Select
+          mode="tags"
+          style={{ width: "100%" }}
+          value={tagsDialog?.tags ?? []}
+          onChange={(tags) => setTagsDialog((prev) => ({ ...prev, tags }))}
+          options={[...new Set(chats.flatMap((c) => c.tags ?? []))].map((tag) => ({
+            value: tag,
+          }))}
+          placeholder="Add tags"
+          maxCount={20}
+        />
+      </Modal>
+      <Modal
+        open={Boolean(shareDialog)}
+        title="Share a read-only copy"
+        footer={null}
+        onCancel={() => setShareDialog(null)}
+        destroyOnClose
+      >
+        <Text style={{ color: palette.hint, display: "block", marginBottom: 12 }}>
+          Anyone with the link can read this chat as it is now. Later messages aren't included.
+        </Text>
+        <div style={{ display: "flex", gap: 8, marginBottom: 16 }}>
+          <Select
+            style={{ flex: 1 }}
+            value={shareDialog?.expiresInDays ?? null}
+            onChange={(expiresInDays) => setShareDialog((prev) => ({ ...prev, expiresInDays }))}
+            options={[
+              { value: null, label: "Never expires" },
+              { value: 1, label: "Expires in 1 day" },
+              { value: 7, label: "Expires in 7 days" },
+              { value: 30, label: "Expires in 30 days" },
+            ]}
+          />
+          <Button
+            type="primary"
+            icon={<LinkOutlined />}
+            loading={shareDialog?.loading}
+            onClick={createShareLink}
+          >
+            Create link
+          </Button>
+        </div>
+        {(shareDialog?.shares ?? []).map((share) => (
+          <div
+            key={share.slug}
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 8,
+              padding: "8px 0",
+              borderTop: `1px solid ${palette.border}`,
+            }}
+          >
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <Text ellipsis style={{ display: "block", color: palette.text }}>
+                /share/{share.slug}
+              </Text>
+              <Text style={{ color: palette.hint, fontSize: 12 }}>
+                <EyeOutlined /> {share.views} · created{" "}
+                {new Date(share.createdAt).toLocaleDateString()}
+                {share.expiresAt
+                  ? ` · expires ${new Date(share.expiresAt).toLocaleDateString()}`
+                  : ""}
+              </Text>
+            </div>
+            <Tooltip title="Copy link">
+              <Button
+                size="small"
+                type="text"
+                icon={<CopyOutlined />}
+                onClick={() => copyShareLink(share.slug)}
+                aria-label="Copy link"
+              />
+            </Tooltip>
+            <Tooltip title="Revoke">
+              <Button
+                size="small"
+                type="text"
+                danger
+                icon={<DeleteOutlined />}
+                onClick={() => revokeShareLink(share.slug)}
+                aria-label="Revoke link"
+              />
+            </Tooltip>
+          </div>
+        ))}
+      </Modal>
 
       {/* Mobile Overlay */}
       {isMobile && sidebarOpen && (
@@ -1076,6 +2949,34 @@ export default function Chat({ themeMode, onThemeChange }) {
                 >
                   {authUser.fullName || authUser.email}
                 </div>
+                <div
+                  style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12 }}
+                  role="status"
+                >
+                  <span
+                    style={{
+                      width: 8,
+                      height: 8,
+                      borderRadius: "50%",
+                      background: SYNC_STATUS_COLORS[syncStatus.state],
+                      flexShrink: 0,
+                    }}
+                  />
+                  <Text style={{ color: palette.hint, fontSize: 12 }}>{syncLabel}</Text>
+                  {(syncStatus.state === "offline" || syncStatus.state === "error") && (
+                    <Button
+                      type="link"
+                      size="small"
+                      style={{ padding: 0, height: "auto", fontSize: 12 }}
+                      onClick={() => syncRunnerRef.current?.flush()}
+                    >
+                      Retry now
+                    </Button>
+                  )}
+                </div>
+                <Button size="middle" onClick={() => navigate("/settings")}>
+                  Settings
+                </Button>
                 <Button size="middle" danger onClick={handleLogout}>
                   Log out
                 </Button>
@@ -1098,91 +2999,120 @@ export default function Chat({ themeMode, onThemeChange }) {
           </div>
         </div>
 
-        {/* Chat List */}
+        {authUser && (
+          <div style={{ padding: "8px 8px 0" }}>
+            <Input
+              allowClear
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search chats"
+              prefix={
+                searching ? <LoadingOutlined /> : <SearchOutlined style={{ color: palette.hint }} />
+              }
+            />
+          </div>
+        )}
+
         <div
           style={{
-            flex: 1,
-            overflowY: "auto",
-            padding: "8px",
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            padding: "8px 8px 0",
+            flexWrap: "wrap",
           }}
         >
-          {chats.map((chat) => (
-            <div
-              key={chat.id}
-              onClick={() => {
-                switchChat(chat.id);1
-                if (isMobile) setSidebarOpen(false);
-              }}
-              style={{
-                padding: "12px 14px",
-                margin: "4px 0",
-                borderRadius: 12,
-                background:
-                  chat.id === currentChatId
-                    ? palette.sidebarHover
-                    : "transparent",
-                border: `1px solid ${
-                  chat.id === currentChatId ? palette.border : "transparent"
-                }`,
-                cursor: "pointer",
-                display: "flex",
-                alignItems: "center",
-                justifyContent: "space-between",
-                gap: 8,
-                transition: "all 0.2s ease",
-              }}
-              onMouseOver={(e) => {
-                if (chat.id !== currentChatId) {
-                  e.currentTarget.style.background = palette.sidebarHover;
-                }
-              }}
-              onMouseOut={(e) => {
-                if (chat.id !== currentChatId) {
-                  e.currentTarget.style.background = "transparent";
-                }
-              }}
-            >
-              <div
-                style={{
-                  display: "flex",
-                  alignItems: "center",
-                  gap: 10,
-                  flex: 1,
-                  minWidth: 0,
+          <Segmented
+            size="small"
+            value={sidebarView}
+            onChange={setSidebarView}
+            options={[
+              { label: "Chats", value: "chats" },
+              { label: "Archived", value: "archived" },
+              { label: "Trash", value: "trash" },
+            ]}
+          />
+          {tagFilter && (
+            <Button size="small" type="text" onClick={() => setTagFilter(null)}>
+              #{tagFilter} <CloseOutlined />
+            </Button>
+          )}
+          {authUser && (
+            <div style={{ marginLeft: "auto", display: "flex", gap: 2 }}>
+              <Tooltip title="New folder">
+                <Button
+                  size="small"
+                  type="text"
+                  icon={<FolderAddOutlined />}
+                  onClick={() => setFolderDialog({ folder: null, name: "" })}
+                  style={{ color: palette.icon }}
+                  aria-label="New folder"
+                />
+              </Tooltip>
+              <Dropdown
+                trigger={["click"]}
+                menu={{
+                  items: EXPORT_MENU_ITEMS.filter((item) => item.key !== "export:print").map(
+                    (item) => ({ ...item, label: `All chats as ${item.label}` })
+                  ),
+                  onClick: ({ key }) => exportAllChats(key.slice("export:".length)),
                 }}
               >
-                <MessageOutlined
-                  style={{ color: palette.icon, fontSize: 16, flexShrink: 0 }}
+                <Button
+                  size="small"
+                  type="text"
+                  icon={<DownloadOutlined />}
+                  style={{ color: palette.icon }}
+                  aria-label="Export all chats"
                 />
-                <Text
-                  style={{
-                    color: palette.text,
-                    fontSize: 14,
-                    overflow: "hidden",
-                    textOverflow: "ellipsis",
-                    whiteSpace: "nowrap",
-                  }}
-                >
-                  {chat.title}
-                </Text>
-              </div>
-              <DeleteOutlined
-                onClick={(e) => {
-                  e.stopPropagation();
-                  deleteChat(chat.id);
-                }}
-                style={{
-                  color: palette.hint,
-                  fontSize: 14,
-                  padding: 4,
-                  transition: "color 0.2s ease",
-                  flexShrink: 0,
+              </Dropdown>
+              <Tooltip title="Import chats (ChatGPT export, JSON or Markdown)">
+                <Button
+                  size="small"
+                  type="text"
+                  icon={<UploadOutlined />}
+                  loading={importing}
+                  onClick={() => importInputRef.current?.click()}
+                  style={{ color: palette.icon }}
+                  aria-label="Import chats"
+                />
+              </Tooltip>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,.md,.markdown,.txt"
+                hidden
+                onChange={(event) => {
+                  importChats(event.target.files?.[0]);
+                  event.target.value = "";
                 }}
-                onMouseOver={(e) => (e.target.style.color = "#ff6f61")}
-                onMouseOut={(e) => (e.target.style.color = palette.hint)}
               />
             </div>
-          ))}
+          )}
+        </div>
+
+        {/* Chat List */}
+        <div
+          style={{
+            flex: 1,
+            overflowY: "auto",
+            padding: "8px",
+          }}
+          onScroll={searchResults ? undefined : handleChatListScroll}
+        >
+          {searchResults && renderSearchResults()}
+          {searchResults ? renderSearchResults() : renderChatGroups()}
+          {searchResults || sidebarView !== "chats" || tagFilter ? null : loadingMoreChats ? (
+            <div style={{ textAlign: "center", padding: 12, color: palette.hint }}>
+              <LoadingOutlined />
+            </div>
+          ) : (
+            nextCursor && (
+              <Button type="text" block onClick={loadMoreChats} style={{ color: palette.hint }}>
+                Load more
+              </Button>
+            )
+          )}
         </div>
       </div>
 
@@ -1382,7 +3312,11 @@ export default function Chat({ themeMode, onThemeChange }) {
                 minHeight: 0,
             }}
           >
-            {messages.length === 0 ? (
+            {historyLoading ? (
+              <div style={{ margin: "auto", color: palette.hint, fontSize: 24 }}>
+                <LoadingOutlined />
+              </div>
+            ) : messages.length === 0 ? (
               <div
                 style={{
                   margin: "auto",
@@ -1514,11 +3448,26 @@ export default function Chat({ themeMode, onThemeChange }) {
                     <AudioOutlined />
                   </span>
                 </Tooltip>
-                <Tooltip title="Send message">
+                <Tooltip title={isLoading ? "Stop generating" : "Send message"}>
                   {isLoading ? (
-                      <LoadingOutlined
-                        style={{ fontSize: 20, color: palette.icon }}
-                      />
+                    <span
+                      role="button"
+                      tabIndex={0}
+                      onClick={handleStop}
+                      onKeyDown={(event) => {
+                        if (event.key === "Enter") handleStop();
+                      }}
+                      style={{
+                        cursor: "pointer",
+                        fontSize: 20,
+                        color: palette.icon,
+                        display: "inline-flex",
+                        gap: 8,
+                      }}
+                    >
+                      <LoadingOutlined />
+                      <StopOutlined style={{ color: "#ff6f61" }} />
+                    </span>
                   ) : (
                     <span
                       role="button"
@@ -11,19 +11,21 @@ import {
   Space,
 } from "antd";
 import wowziriLogo from "../assets/images/logo.png";
+import { describeError, passwordRegex } from "../utils/authForm.js";
 
 const { Title, Text } = Typography;
 
-const passwordRegex = /^(?=.*[0-9])(?=.*[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]).{8,}$/;
-
 export default function AuthPage({ mode = "login", themeMode, onThemeChange }) {
   const [form] = Form.useForm();
   const [otpForm] = Form.useForm();
+  const [resetForm] = Form.useForm();
   const [authMode, setAuthMode] = useState(mode);
   const [loading, setLoading] = useState(false);
   const [otpStep, setOtpStep] = useState(false);
   const [pendingEmail, setPendingEmail] = useState("");
   const [otpMessage, setOtpMessage] = useState("");
+  // Set once a reset code has been requested for this address
+  const [resetEmail, setResetEmail] = useState("");
   const [error, setError] = useState(null);
   const navigate = useNavigate();
   const isDark = themeMode === "dark";
@@ -33,6 +35,7 @@ export default function AuthPage({ mode = "login", themeMode, onThemeChange }) {
     setAuthMode(mode);
     setOtpStep(false);
     setPendingEmail("");
+    setResetEmail("");
     setError(null);
   }, [mode]);
 
@@ -105,9 +108,7 @@ export default function AuthPage({ mode = "login", themeMode, onThemeChange }) {
       }
     } catch (err) {
       console.error("Auth error", err);
-      const apiMessage =
-        err?.details?.errors?.[0]?.msg || err?.details?.error || err?.message || "Something went wrong";
-      setError(apiMessage);
+      setError(describeError(err, "Something went wrong"));
     } finally {
       setLoading(false);
     }
@@ -126,9 +127,7 @@ export default function AuthPage({ mode = "login", themeMode, onThemeChange }) {
       goHome();
     } catch (err) {
       console.error("Verify error", err);
-      const apiMessage =
-        err?.details?.errors?.[0]?.msg || err?.message || "Unable to verify code";
-      setError(apiMessage);
+      setError(describeError(err, "Unable to verify code"));
     } finally {
       setLoading(false);
     }
@@ -142,12 +141,77 @@ export default function AuthPage({ mode = "login", themeMode, onThemeChange }) {
       setOtpMessage("We sent a new code. Please check your email.");
       messageApi.success("Verification code re-sent");
     } catch (err) {
-      const apiMessage =
-        err?.details?.errors?.[0]?.msg || err?.message || "Unable to resend code";
-      setError(apiMessage);
+      setError(describeError(err, "Unable to resend code"));
     }
   }, [apiRequest, messageApi, pendingEmail]);
 
+  const requestResetCode = useCallback(
+    async (email) => {
+      const data = await apiRequest("/api/auth/forgot-password", { body: { email } });
+      setResetEmail(email);
+      setOtpMessage(`${data.message} It expires in ${data.expiresInMinutes} minutes.`);
+    },
+    [apiRequest],
+  );
+
+  const handleForgotSubmit = useCallback(async () => {
+    try {
+      setError(null);
+      const { email } = await form.validateFields(["email"]);
+      setLoading(true);
+      await requestResetCode(email);
+      messageApi.success("Check your email for the reset code.");
+    } catch (err) {
+      if (err?.errorFields) return;
+      setError(describeError(err, "Unable to send code"));
+    } finally {
+      setLoading(false);
+    }
+  }, [form, messageApi, requestResetCode]);
+
+  const handleResetSubmit = useCallback(async () => {
+    try {
+      setError(null);
+      const { code, password } = await resetForm.validateFields();
+      setLoading(true);
+      const data = await apiRequest("/api/auth/reset-password", {
+        body: { email: resetEmail, code, password },
+      });
+      storeAccess(data.accessToken);
+      messageApi.success("Password updated. Other devices have been signed out.");
+      goHome();
+    } catch (err) {
+      if (err?.errorFields) return;
+      console.error("Reset error", err);
+      setError(describeError(err, "Unable to reset password"));
+    } finally {
+      setLoading(false);
+    }
+  }, [apiRequest, goHome, messageApi, resetEmail, resetForm, storeAccess]);
+
+  const handleResetResend = useCallback(async () => {
+    try {
+      setError(null);
+      await requestResetCode(resetEmail);
+      messageApi.info("A new code is sent if the last one is over 45 seconds old.");
+    } catch (err) {
+      setError(describeError(err, "Unable to resend code"));
+    }
+  }, [messageApi, requestResetCode, resetEmail]);
+
+  const showForgotPassword = useCallback(() => {
+    setAuthMode("forgot");
+    setResetEmail("");
+    setError(null);
+    resetForm.resetFields();
+  }, [resetForm]);
+
+  const backToLogin = useCallback(() => {
+    setAuthMode("login");
+    setResetEmail("");
+    setError(null);
+  }, []);
+
   const toggleMode = useCallback(() => {
     setAuthMode((prev) => (prev === "login" ? "signup" : "login"));
     setOtpStep(false);
@@ -214,12 +278,18 @@ export default function AuthPage({ mode = "login", themeMode, onThemeChange }) {
             </div>
             <div>
               <Title level={4} style={{ margin: 0, color: palette.text }}>
-                {authMode === "signup" ? "Create your account" : "Welcome back"}
+                {authMode === "signup"
+                  ? "Create your account"
+                  : authMode === "forgot"
+                    ? "Reset your password"
+                    : "Welcome back"}
               </Title>
               <Text style={{ color: palette.hint }}>
                 {authMode === "signup"
                   ? "Join Wowziri and sync your chats."
-                  : "Log in to continue your chats."}
+                  : authMode === "forgot"
+                    ? "We'll email you a code to choose a new one."
+                    : "Log in to continue your chats."}
               </Text>
             </div>
           </div>
@@ -248,7 +318,105 @@ export default function AuthPage({ mode = "login", themeMode, onThemeChange }) {
             />
           )}
 
-          {!otpStep ? (
+          {authMode === "forgot" ? (
+            resetEmail ? (
+              <Form layout="vertical" form={resetForm} onFinish={handleResetSubmit}>
+                <Alert type="info" message={otpMessage} showIcon style={{ marginBottom: 12 }} />
+                <Form.Item
+                  name="code"
+                  label="6-digit code"
+                  rules={[
+                    { required: true, message: "Enter the code" },
+                    { len: 6, message: "Code should be 6 digits" },
+                  ]}
+                >
+                  <Input placeholder="123456" maxLength={6} autoComplete="one-time-code" />
+                </Form.Item>
+                <Form.Item
+                  name="password"
+                  label="New password"
+                  rules={[
+                    { required: true, message: "Password is required" },
+                    {
+                      pattern: passwordRegex,
+                      message: "Min 8 chars, include a number and a symbol",
+                    },
+                  ]}
+                >
+                  <Input.Password
+                    placeholder="Min 8 chars, include number & symbol"
+                    autoComplete="new-password"
+                  />
+                </Form.Item>
+                <Form.Item
+                  name="confirm"
+                  label="Confirm new password"
+                  dependencies={["password"]}
+                  rules={[
+                    { required: true, message: "Confirm your new password" },
+                    ({ getFieldValue }) => ({
+                      validator: (_, value) =>
+                        !value || value === getFieldValue("password")
+                          ? Promise.resolve()
+                          : Promise.reject(new Error("Passwords don't match")),
+                    }),
+                  ]}
+                >
+                  <Input.Password autoComplete="new-password" />
+                </Form.Item>
+                <Space
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    width: "100%",
+                    marginBottom: 8,
+                  }}
+                >
+                  <Text style={{ color: palette.hint, fontSize: 12 }}>Sent to {resetEmail}.</Text>
+                  <Button type="link" onClick={handleResetResend}>
+                    Resend code
+                  </Button>
+                </Space>
+                <Button
+                  type="primary"
+                  htmlType="submit"
+                  block
+                  size="large"
+                  loading={loading}
+                  style={{ background: palette.accent, borderColor: palette.accent }}
+                >
+                  Set new password
+                </Button>
+                <Button style={{ marginTop: 10 }} block onClick={backToLogin}>
+                  Back to log in
+                </Button>
+              </Form>
+            ) : (
+              <Form layout="vertical" form={form} onFinish={handleForgotSubmit}>
+                <Form.Item
+                  name="email"
+                  label="Email"
+                  rules={[{ required: true, type: "email", message: "Enter a valid email" }]}
+                >
+                  <Input placeholder="you@example.com" />
+                </Form.Item>
+                <Button
+                  type="primary"
+                  htmlType="submit"
+                  block
+                  size="large"
+                  loading={loading}
+                  style={{ background: palette.accent, borderColor: palette.accent }}
+                >
+                  Send reset code
+                </Button>
+                <Button style={{ marginTop: 10 }} block onClick={backToLogin}>
+                  Back to log in
+                </Button>
+              </Form>
+            )
+          ) : !otpStep ? (
             <Form layout="vertical" form={form} onFinish={handleAuthSubmit}>
               {authMode === "signup" && (
                 <>
@@ -304,8 +472,28 @@ export default function AuthPage({ mode = "login", themeMode, onThemeChange }) {
                 <Input.Password placeholder="Min 8 chars, include number & symbol" />
               </Form.Item>
 
-              <div style={{ color: palette.hint, fontSize: 12, marginBottom: 8 }}>
-                Password must include at least one number and one special symbol.
+              <div
+                style={{
+                  display: "flex",
+                  justifyContent: "space-between",
+                  alignItems: "center",
+                  gap: 8,
+                  color: palette.hint,
+                  fontSize: 12,
+                  marginBottom: 8,
+                }}
+              >
+                <span>Password must include at least one number and one special symbol.</span>
+                {authMode === "login" && (
+                  <Button
+                    type="link"
+                    size="small"
+                    style={{ padding: 0, flexShrink: 0 }}
+                    onClick={showForgotPassword}
+                  >
+                    Forgot password?
+                  </Button>
+                )}
               </div>
 
               <Button
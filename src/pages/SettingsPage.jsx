@@ -0,0 +1,579 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import {
+  Alert,
+  Button,
+  Card,
+  Form,
+  Input,
+  Popconfirm,
+  Select,
+  Spin,
+  Tag,
+  Tooltip,
+  Typography,
+  message,
+} from "antd";
+import { ArrowLeftOutlined, DesktopOutlined } from "@ant-design/icons";
+import wowziriLogo from "../assets/images/logo.png";
+import { describeError, passwordRegex } from "../utils/authForm.js";
+
+const { Title, Text } = Typography;
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+// Account settings. Like the chat page it keeps the access token in
+// localStorage and gets a new one from the refresh cookie when it expires.
+export default function SettingsPage({ themeMode, onThemeChange }) {
+  const navigate = useNavigate();
+  const [messageApi, contextHolder] = message.useMessage();
+  const [profileForm] = Form.useForm();
+  const [passwordForm] = Form.useForm();
+  const [emailForm] = Form.useForm();
+  const [codeForm] = Form.useForm();
+  const [user, setUser] = useState(null);
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+  // The action in flight: a form name, a session id, "others" or "all"
+  const [pending, setPending] = useState(null);
+  const isDark = themeMode === "dark";
+
+  const palette = useMemo(
+    () => ({
+      text: isDark ? "#f8f9ff" : "#0f172a",
+      hint: isDark ? "#8c94b3" : "#6b7280",
+      accent: "#10a37f",
+      border: isDark ? "rgba(255,255,255,0.08)" : "rgba(15,23,42,0.12)",
+      card: isDark ? "rgba(9,11,18,0.9)" : "rgba(255,255,255,0.9)",
+    }),
+    [isDark],
+  );
+
+  const signOutHere = useCallback(() => {
+    localStorage.removeItem("wowziri_access");
+    navigate("/auth/login", { replace: true });
+  }, [navigate]);
+
+  const apiRequest = useCallback(
+    async (path, { method = "GET", body } = {}) => {
+      const send = (token) =>
+        fetch(path, {
+          method,
+          headers: {
+            "Content-Type": "application/json",
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          },
+          credentials: "include",
+          body: body ? JSON.stringify(body) : undefined,
+        });
+
+      let res = await send(localStorage.getItem("wowziri_access"));
+      if (res.status === 401) {
+        const refresh = await fetch("/api/auth/refresh", {
+          method: "POST",
+          credentials: "include",
+        });
+        const refreshed = await refresh.json().catch(() => ({}));
+        if (!refresh.ok || !refreshed.accessToken) {
+          signOutHere();
+          throw new Error("Your session has ended. Please log in again.");
+        }
+        localStorage.setItem("wowziri_access", refreshed.accessToken);
+        res = await send(refreshed.accessToken);
+      }
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const error = new Error(data.errors?.[0]?.msg || data.error || "Request failed");
+        error.status = res.status;
+        error.details = data;
+        throw error;
+      }
+      return data;
+    },
+    [signOutHere],
+  );
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const data = await apiRequest("/api/auth/sessions");
+      setSessions(data.sessions || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [apiRequest]);
+
+  const loadUser = useCallback(async () => {
+    try {
+      const data = await apiRequest("/api/auth/me");
+      setUser(data.user);
+      profileForm.setFieldsValue(data.user);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [apiRequest, profileForm]);
+
+  useEffect(() => {
+    document.title = "Settings · Wowziri";
+    // One after the other, so a stale access token is only refreshed once
+    loadUser().then(loadSessions);
+  }, [loadSessions, loadUser]);
+
+  // Runs one settings form's request with its button spinning
+  const submit = useCallback(
+    async (name, request, fallback) => {
+      setPending(name);
+      try {
+        await request();
+      } catch (err) {
+        messageApi.error(describeError(err, fallback));
+      } finally {
+        setPending(null);
+      }
+    },
+    [messageApi],
+  );
+
+  const saveProfile = useCallback(
+    (values) =>
+      submit(
+        "profile",
+        async () => {
+          const data = await apiRequest("/api/auth/me", { method: "PATCH", body: values });
+          setUser(data.user);
+          profileForm.setFieldsValue(data.user);
+          messageApi.success("Profile saved");
+        },
+        "Unable to save profile",
+      ),
+    [apiRequest, messageApi, profileForm, submit],
+  );
+
+  const changePassword = useCallback(
+    ({ currentPassword, newPassword }) =>
+      submit(
+        "password",
+        async () => {
+          const data = await apiRequest("/api/auth/change-password", {
+            method: "POST",
+            body: { currentPassword, newPassword },
+          });
+          passwordForm.resetFields();
+          messageApi.success(
+            data.revokedSessions
+              ? `Password changed. Signed out ${data.revokedSessions} other session(s).`
+              : "Password changed",
+          );
+          await loadSessions();
+        },
+        "Unable to change password",
+      ),
+    [apiRequest, loadSessions, messageApi, passwordForm, submit],
+  );
+
+  const startEmailChange = useCallback(
+    (values) =>
+      submit(
+        "email",
+        async () => {
+          const data = await apiRequest("/api/auth/email-change", { method: "POST", body: values });
+          setUser(data.user);
+          emailForm.resetFields();
+          messageApi.success(data.message);
+        },
+        "Unable to send code",
+      ),
+    [apiRequest, emailForm, messageApi, submit],
+  );
+
+  const confirmEmailChange = useCallback(
+    ({ code }) =>
+      submit(
+        "email-code",
+        async () => {
+          const data = await apiRequest("/api/auth/email-change/verify", {
+            method: "POST",
+            body: { code },
+          });
+          setUser(data.user);
+          codeForm.resetFields();
+          messageApi.success(`Your email is now ${data.user.email}`);
+        },
+        "Unable to confirm email",
+      ),
+    [apiRequest, codeForm, messageApi, submit],
+  );
+
+  const cancelEmailChange = useCallback(
+    () =>
+      submit(
+        "email-cancel",
+        async () => {
+          await apiRequest("/api/auth/email-change", { method: "DELETE" });
+          setUser((prev) => ({ ...prev, pendingEmail: null }));
+          codeForm.resetFields();
+        },
+        "Unable to cancel email change",
+      ),
+    [apiRequest, codeForm, submit],
+  );
+
+  const revokeSession = useCallback(
+    async (session) => {
+      setPending(session.id);
+      try {
+        await apiRequest(`/api/auth/sessions/${session.id}`, { method: "DELETE" });
+        if (session.current) {
+          signOutHere();
+          return;
+        }
+        messageApi.success(`Signed out ${session.device}`);
+        await loadSessions();
+      } catch (err) {
+        messageApi.error(err.message);
+      } finally {
+        setPending(null);
+      }
+    },
+    [apiRequest, loadSessions, messageApi, signOutHere],
+  );
+
+  const logoutAll = useCallback(
+    async (keepCurrent) => {
+      setPending(keepCurrent ? "others" : "all");
+      try {
+        const data = await apiRequest("/api/auth/logout-all", {
+          method: "POST",
+          body: { keepCurrent },
+        });
+        if (!keepCurrent) {
+          signOutHere();
+          return;
+        }
+        messageApi.success(data.message);
+        await loadSessions();
+      } catch (err) {
+        messageApi.error(err.message);
+      } finally {
+        setPending(null);
+      }
+    },
+    [apiRequest, loadSessions, messageApi, signOutHere],
+  );
+
+  const hasOtherSessions = sessions?.some((session) => !session.current);
+
+  return (
+    <div style={{ minHeight: "100vh", position: "relative", color: palette.text }}>
+      {contextHolder}
+      <div className="orb-surface" aria-hidden="true" style={{ zIndex: 0 }}>
+        <div className="orb" />
+        <div className="orb orb--b" />
+      </div>
+
+      <div
+        style={{
+          maxWidth: 720,
+          margin: "0 auto",
+          padding: "24px 16px 48px",
+          position: "relative",
+          zIndex: 1,
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            marginBottom: 24,
+            gap: 12,
+          }}
+        >
+          <Link to="/" style={{ display: "flex", alignItems: "center", gap: 10 }}>
+            <img src={wowziriLogo} alt="Wowziri logo" style={{ width: 28, height: 28 }} />
+            <Text strong style={{ color: palette.text }}>
+              Wowziri
+            </Text>
+          </Link>
+          <div style={{ display: "flex", gap: 8 }}>
+            <Button size="small" onClick={() => onThemeChange(isDark ? "light" : "dark")}>
+              {isDark ? "Light" : "Dark"}
+            </Button>
+            <Link to="/">
+              <Button size="small" icon={<ArrowLeftOutlined />}>
+                Back to chats
+              </Button>
+            </Link>
+          </div>
+        </div>
+
+        <Title level={3} style={{ color: palette.text, marginBottom: 24 }}>
+          Settings
+        </Title>
+
+        <Card
+          title="Profile"
+          style={{ background: palette.card, borderColor: palette.border, marginBottom: 16 }}
+        >
+          {!user ? (
+            <div style={{ display: "grid", placeItems: "center", padding: 32 }}>
+              {error ? <Alert type="error" showIcon message={error} /> : <Spin />}
+            </div>
+          ) : (
+            <Form layout="vertical" form={profileForm} onFinish={saveProfile}>
+              <Form.Item
+                name="fullName"
+                label="Full name"
+                rules={[{ required: true, whitespace: true, message: "Full name is required" }]}
+              >
+                <Input maxLength={100} />
+              </Form.Item>
+              <Form.Item name="gender" label="Gender">
+                <Select
+                  options={[
+                    { value: "male", label: "Male" },
+                    { value: "female", label: "Female" },
+                  ]}
+                />
+              </Form.Item>
+              <Form.Item
+                name="phone"
+                label="Phone number"
+                rules={[{ required: true, whitespace: true, message: "Phone is required" }]}
+              >
+                <Input placeholder="+255..." maxLength={30} />
+              </Form.Item>
+              <Form.Item
+                name="interests"
+                label="Travel interests"
+                extra="Wowziri keeps these in mind when it suggests places and plans."
+                rules={[{ type: "array", max: 20, message: "Pick at most 20 interests" }]}
+              >
+                <Select
+                  mode="tags"
+                  tokenSeparators={[","]}
+                  placeholder="Beaches, hiking, food..."
+                  open={false}
+                />
+              </Form.Item>
+              <Button type="primary" htmlType="submit" loading={pending === "profile"}>
+                Save profile
+              </Button>
+            </Form>
+          )}
+        </Card>
+
+        <Card
+          title="Email"
+          style={{ background: palette.card, borderColor: palette.border, marginBottom: 16 }}
+        >
+          {user && (
+            <>
+              <Text style={{ color: palette.text }}>
+                {user.email}
+                {user.emailVerified && (
+                  <Tag color="green" style={{ marginLeft: 8 }}>
+                    Verified
+                  </Tag>
+                )}
+              </Text>
+              {user.pendingEmail ? (
+                <Form
+                  layout="vertical"
+                  form={codeForm}
+                  onFinish={confirmEmailChange}
+                  style={{ marginTop: 16 }}
+                >
+                  <Alert
+                    type="info"
+                    showIcon
+                    message={`Enter the code we sent to ${user.pendingEmail} to switch to it.`}
+                    style={{ marginBottom: 12 }}
+                  />
+                  <Form.Item
+                    name="code"
+                    label="6-digit code"
+                    rules={[
+                      { required: true, message: "Enter the code" },
+                      { len: 6, message: "Code should be 6 digits" },
+                    ]}
+                  >
+                    <Input placeholder="123456" maxLength={6} autoComplete="one-time-code" />
+                  </Form.Item>
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <Button type="primary" htmlType="submit" loading={pending === "email-code"}>
+                      Confirm new email
+                    </Button>
+                    <Button onClick={cancelEmailChange} loading={pending === "email-cancel"}>
+                      Cancel change
+                    </Button>
+                  </div>
+                </Form>
+              ) : (
+                <Form
+                  layout="vertical"
+                  form={emailForm}
+                  onFinish={startEmailChange}
+                  style={{ marginTop: 16 }}
+                >
+                  <Form.Item
+                    name="email"
+                    label="New email"
+                    rules={[{ required: true, type: "email", message: "Enter a valid email" }]}
+                  >
+                    <Input placeholder="you@example.com" />
+                  </Form.Item>
+                  <Form.Item
+                    name="password"
+                    label="Current password"
+                    rules={[{ required: true, message: "Enter your password" }]}
+                  >
+                    <Input.Password autoComplete="current-password" />
+                  </Form.Item>
+                  <Button htmlType="submit" loading={pending === "email"}>
+                    Send confirmation code
+                  </Button>
+                </Form>
+              )}
+            </>
+          )}
+        </Card>
+
+        <Card
+          title="Password"
+          style={{ background: palette.card, borderColor: palette.border, marginBottom: 16 }}
+        >
+          <Form layout="vertical" form={passwordForm} onFinish={changePassword}>
+            <Form.Item
+              name="currentPassword"
+              label="Current password"
+              rules={[{ required: true, message: "Enter your current password" }]}
+            >
+              <Input.Password autoComplete="current-password" />
+            </Form.Item>
+            <Form.Item
+              name="newPassword"
+              label="New password"
+              rules={[
+                { required: true, message: "Password is required" },
+                { pattern: passwordRegex, message: "Min 8 chars, include a number and a symbol" },
+              ]}
+            >
+              <Input.Password autoComplete="new-password" />
+            </Form.Item>
+            <Form.Item
+              name="confirm"
+              label="Confirm new password"
+              dependencies={["newPassword"]}
+              rules={[
+                { required: true, message: "Confirm your new password" },
+                ({ getFieldValue }) => ({
+                  validator: (_, value) =>
+                    !value || value === getFieldValue("newPassword")
+                      ? Promise.resolve()
+                      : Promise.reject(new Error("Passwords don't match")),
+                }),
+              ]}
+            >
+              <Input.Password autoComplete="new-password" />
+            </Form.Item>
+            <Text style={{ color: palette.hint, display: "block", fontSize: 12, marginBottom: 12 }}>
+              Your other devices will be signed out.
+            </Text>
+            <Button htmlType="submit" loading={pending === "password"}>
+              Change password
+            </Button>
+          </Form>
+        </Card>
+
+        <Card
+          title="Where you're signed in"
+          style={{ background: palette.card, borderColor: palette.border }}
+          extra={
+            hasOtherSessions && (
+              <Popconfirm
+                title="Sign out every other device?"
+                okText="Sign out"
+                onConfirm={() => logoutAll(true)}
+              >
+                <Button size="small" loading={pending === "others"}>
+                  Sign out other sessions
+                </Button>
+              </Popconfirm>
+            )
+          }
+        >
+          {error && <Alert type="error" showIcon message={error} style={{ marginBottom: 16 }} />}
+          {!sessions && !error ? (
+            <div style={{ display: "grid", placeItems: "center", padding: 32 }}>
+              <Spin />
+            </div>
+          ) : (
+            <div style={{ display: "grid", gap: 12 }}>
+              {(sessions || []).map((session) => (
+                <div
+                  key={session.id}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 12,
+                    padding: "12px 14px",
+                    borderRadius: 12,
+                    border: `1px solid ${palette.border}`,
+                  }}
+                >
+                  <DesktopOutlined style={{ fontSize: 20, color: palette.accent }} />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <Tooltip title={session.userAgent || undefined}>
+                      <Text strong style={{ color: palette.text }}>
+                        {session.device}
+                      </Text>
+                    </Tooltip>
+                    {session.current && (
+                      <Tag color="green" style={{ marginLeft: 8 }}>
+                        This device
+                      </Tag>
+                    )}
+                    <Text style={{ color: palette.hint, display: "block", fontSize: 12 }}>
+                      {session.ip || "Unknown IP"} · Last active {formatDate(session.lastSeenAt)}
+                      {" · "}Signed in {formatDate(session.createdAt)}
+                    </Text>
+                  </div>
+                  <Popconfirm
+                    title={
+                      session.current ? "Sign out of this device?" : `Sign out ${session.device}?`
+                    }
+                    okText="Sign out"
+                    onConfirm={() => revokeSession(session)}
+                  >
+                    <Button size="small" danger loading={pending === session.id}>
+                      Sign out
+                    </Button>
+                  </Popconfirm>
+                </div>
+              ))}
+              {sessions?.length === 0 && (
+                <Text style={{ color: palette.hint }}>No active sessions.</Text>
+              )}
+            </div>
+          )}
+
+          <div style={{ marginTop: 20, display: "flex", justifyContent: "flex-end" }}>
+            <Popconfirm
+              title="Log out on every device, including this one?"
+              okText="Log out everywhere"
+              okButtonProps={{ danger: true }}
+              onConfirm={() => logoutAll(false)}
+            >
+              <Button danger loading={pending === "all"}>
+                Log out everywhere
+              </Button>
+            </Popconfirm>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Button, Result, Spin, Typography } from "antd";
+import { EyeOutlined } from "@ant-design/icons";
+import wowziriLogo from "../assets/images/logo.png";
+
+const { Title, Text } = Typography;
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "";
+}
+
+// Read-only view of a shared snapshot. Works without an account.
+export default function SharedChatPage({ themeMode, onThemeChange }) {
+  const { slug } = useParams();
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState(null);
+  const isDark = themeMode === "dark";
+
+  const palette = useMemo(
+    () => ({
+      text: isDark ? "#f8f9ff" : "#0f172a",
+      hint: isDark ? "#8c94b3" : "#6b7280",
+      accent: "#10a37f",
+      border: isDark ? "rgba(255,255,255,0.08)" : "rgba(15,23,42,0.12)",
+      userBubble: isDark ? "rgba(18, 63, 52, 0.6)" : "rgba(215, 245, 234, 0.8)",
+      botBubble: isDark ? "rgba(7,8,14,0.6)" : "rgba(243, 244, 249, 0.8)",
+      userBorder: isDark ? "rgba(16,163,127,0.6)" : "rgba(16,163,127,0.4)",
+    }),
+    [isDark],
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    setShare(null);
+    setError(null);
+    fetch(`/api/shares/${encodeURIComponent(slug)}`)
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || "Unable to load shared chat");
+        if (!cancelled) setShare(data.share);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [slug]);
+
+  useEffect(() => {
+    if (share?.title) document.title = `${share.title} · Wowziri`;
+  }, [share?.title]);
+
+  return (
+    <div style={{ minHeight: "100vh", position: "relative", color: palette.text }}>
+      <div className="orb-surface" aria-hidden="true" style={{ zIndex: 0 }}>
+        <div className="orb" />
+        <div className="orb orb--b" />
+      </div>
+
+      <div
+        style={{
+          maxWidth: 820,
+          margin: "0 auto",
+          padding: "24px 16px 48px",
+          position: "relative",
+          zIndex: 1,
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "space-between",
+            marginBottom: 24,
+            gap: 12,
+          }}
+        >
+          <Link to="/" style={{ display: "flex", alignItems: "center", gap: 10 }}>
+            <img src={wowziriLogo} alt="Wowziri logo" style={{ width: 28, height: 28 }} />
+            <Text strong style={{ color: palette.text }}>
+              Wowziri
+            </Text>
+          </Link>
+          <div style={{ display: "flex", gap: 8 }}>
+            <Button size="small" onClick={() => onThemeChange(isDark ? "light" : "dark")}>
+              {isDark ? "Light" : "Dark"}
+            </Button>
+            <Link to="/">
+              <Button size="small" type="primary">
+                Start your own chat
+              </Button>
+            </Link>
+          </div>
+        </div>
+
+        {error ? (
+          <Result
+            status="404"
+            title={<span style={{ color: palette.text }}>Link unavailable</span>}
+            subTitle={<span style={{ color: palette.hint }}>{error}</span>}
+          />
+        ) : !share ? (
+          <div style={{ display: "grid", placeItems: "center", padding: 80 }}>
+            <Spin />
+          </div>
+        ) : (
+          <>
+            <Title level={3} style={{ color: palette.text, marginBottom: 4 }}>
+              {share.title}
+            </Title>
+            <Text style={{ color: palette.hint, fontSize: 13 }}>
+              Shared {formatDate(share.createdAt)} · <EyeOutlined /> {share.views}{" "}
+              {share.views === 1 ? "view" : "views"}
+              {share.expiresAt && ` · Expires ${formatDate(share.expiresAt)}`}
+            </Text>
+
+            <div style={{ display: "flex", flexDirection: "column", gap: 16, marginTop: 24 }}>
+              {share.messages.map((item, index) => {
+                const isUser = item.role === "user";
+                return (
+                  <div
+                    key={index}
+                    style={{
+                      alignSelf: isUser ? "flex-end" : "flex-start",
+                      maxWidth: "85%",
+                      background: isUser ? palette.userBubble : palette.botBubble,
+                      border: `1px solid ${isUser ? palette.userBorder : palette.border}`,
+                      borderRadius: 20,
+                      padding: "14px 20px",
+                      lineHeight: 1.65,
+                      whiteSpace: "pre-wrap",
+                      wordBreak: "break-word",
+                    }}
+                  >
+                    <Text
+                      strong
+                      style={{ color: palette.accent, display: "block", marginBottom: 6 }}
+                    >
+                      {isUser ? "You" : "Wowziri"}
+                    </Text>
+                    {item.content}
+                    {item.interrupted && (
+                      <Text style={{ color: palette.hint, display: "block", fontSize: 12 }}>
+                        (reply interrupted)
+                      </Text>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
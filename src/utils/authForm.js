@@ -0,0 +1,21 @@
+// Shared by the sign-in and settings pages.
+
+// Same rule the API enforces
+export const passwordRegex = /^(?=.*[0-9])(?=.*[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]).{8,}$/;
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+// The API's first validation message or error, plus how long a lockout lasts
+// or how many code guesses are left
+export function describeError(err, fallback) {
+  const details = err?.details;
+  const base = details?.errors?.[0]?.msg || details?.error || err?.message || fallback;
+  if (details?.retryAfter) return `${base} Try again in ${formatWait(details.retryAfter)}.`;
+  const tries = details?.attemptsLeft;
+  if (tries) return `${base}. ${tries} ${tries === 1 ? "try" : "tries"} left.`;
+  return base;
+}
@@ -0,0 +1,94 @@
+// Live chat events from the server (GET /api/events, server-sent events).
+// EventSource can't send an Authorization header, so the stream is read with
+// fetch and parsed here. Dropped streams reconnect with backoff until the
+// subscription is stopped.
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+// One "event:/data:" block; comments (heartbeats) and unknown fields are skipped
+function parseEvent(block) {
+  let type = "message";
+  const data = [];
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) type = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+  }
+  if (data.length === 0) return null;
+  try {
+    return { ...JSON.parse(data.join("\n")), type };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Opens the event stream with `token`. `onOpen` runs on every (re)connect,
+ * since events sent while disconnected are lost; `onUnauthorized` runs on a
+ * 401 instead of retrying, so the caller can refresh the token and subscribe
+ * again. Returns a function that closes the stream.
+ */
+export function subscribeChatEvents({
+  token,
+  onEvent,
+  onOpen,
+  onUnauthorized,
+  url = "/api/events",
+}) {
+  let stopped = false;
+  let controller = null;
+  let timer = null;
+  let attempts = 0;
+
+  const connect = async () => {
+    controller = new AbortController();
+    try {
+      const res = await fetch(url, {
+        headers: { Authorization: `Bearer ${token}`, Accept: "text/event-stream" },
+        credentials: "include",
+        signal: controller.signal,
+      });
+      if (res.status === 401) {
+        if (!stopped) onUnauthorized?.();
+        return;
+      }
+      if (!res.ok || !res.body) throw new Error(`Event stream failed (${res.status})`);
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, "\n");
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const event = parseEvent(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (!event) continue;
+          if (event.type === "ready") {
+            attempts = 0;
+            onOpen?.();
+          } else {
+            onEvent(event);
+          }
+        }
+      }
+    } catch (err) {
+      if (stopped) return;
+      console.warn("Chat event stream dropped", err);
+    }
+    if (stopped) return;
+    // The server also ends the stream when the token expires; the retry then
+    // gets a 401 and hands over to onUnauthorized.
+    attempts += 1;
+    timer = setTimeout(connect, Math.min(MIN_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS));
+  };
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    controller?.abort();
+  };
+}
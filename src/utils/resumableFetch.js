@@ -0,0 +1,87 @@
+// Drop-in `fetch` for useChat. When the server announces a resumable stream
+// (X-Stream-Id header) and the connection dies before the final frame, it
+// reconnects to GET <api>/<streamId>?offset=<bytes received> and keeps feeding
+// the same response body, so useChat never notices the interruption.
+
+const MAX_RETRIES = 5;
+const FINAL_FRAME = /(^|\n)[d3]:[^\n]*\n$/;
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+
+export async function resumableFetch(url, init = {}) {
+  const response = await fetch(url, init);
+  const streamId = response.headers.get("X-Stream-Id");
+  if (!response.ok || !streamId || !response.body) return response;
+
+  const decoder = new TextDecoder();
+  let reader = response.body.getReader();
+  let offset = 0;
+  let tail = "";
+  let attempts = 0;
+
+  const reconnect = async (cause) => {
+    if (init.signal?.aborted || attempts >= MAX_RETRIES) throw cause;
+    attempts += 1;
+    await wait(Math.min(500 * 2 ** (attempts - 1), 8000), init.signal);
+    try {
+      const res = await fetch(`${url}/${streamId}?offset=${offset}`, {
+        headers: init.headers,
+        credentials: init.credentials,
+        signal: init.signal,
+      });
+      // 404: the stream expired or never existed here, nothing to resume
+      if (res.status === 404 || !res.body) throw cause;
+      if (!res.ok) return;
+      reader = res.body.getReader();
+    } catch (err) {
+      if (err === cause || init.signal?.aborted) throw cause;
+      // Still offline; the next read fails and we try again
+    }
+  };
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      for (;;) {
+        try {
+          const { done, value } = await reader.read();
+          if (done) {
+            // A clean end without a finish or error frame is a cut connection too
+            if (FINAL_FRAME.test(tail)) {
+              controller.close();
+              return;
+            }
+            throw new Error("Stream ended early");
+          }
+          offset += value.byteLength;
+          tail = (tail + decoder.decode(value, { stream: true })).slice(-512);
+          attempts = 0;
+          controller.enqueue(value);
+          return;
+        } catch (err) {
+          try {
+            await reconnect(err);
+          } catch (fatal) {
+            controller.error(fatal);
+            return;
+          }
+        }
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
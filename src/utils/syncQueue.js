@@ -0,0 +1,180 @@
+// Outbound queue for chat changes made in this browser. Operations live in
+// IndexedDB so edits made offline survive a reload, and `createSyncRunner`
+// sends them strictly in order, backing off while the network or the server
+// is down. Without IndexedDB (some private modes) the queue is kept in memory.
+
+const DB_NAME = "wowziri_sync";
+const STORE = "ops";
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+let dbPromise;
+const memory = { ops: [], seq: 0 };
+// Queue writes are chained so ops keep the order they were made in
+let writes = Promise.resolve();
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  dbPromise ??= new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: "seq", autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+// Runs one request against the object store, or `fallback` on the in-memory
+// queue when IndexedDB isn't available.
+async function withStore(mode, action, fallback) {
+  const db = await openDb();
+  if (!db) return fallback();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    // Quota errors and version changes abort without an error event
+    tx.onabort = () => reject(tx.error ?? new Error("Transaction aborted"));
+  });
+}
+
+// Oldest first
+export function readOps() {
+  return withStore(
+    "readonly",
+    (store) => store.getAll(),
+    () => [...memory.ops]
+  );
+}
+
+function putOp(op) {
+  return withStore(
+    "readwrite",
+    (store) => store.put(op),
+    () => {
+      const index = memory.ops.findIndex((item) => item.seq === op.seq);
+      if (index === -1) memory.ops.push({ ...op, seq: (memory.seq += 1) });
+      else memory.ops[index] = op;
+    }
+  );
+}
+
+function deleteOp(seq) {
+  return withStore(
+    "readwrite",
+    (store) => store.delete(seq),
+    () => {
+      memory.ops = memory.ops.filter((op) => op.seq !== seq);
+    }
+  );
+}
+
+export function clearOps() {
+  return withStore(
+    "readwrite",
+    (store) => store.clear(),
+    () => {
+      memory.ops = [];
+    }
+  );
+}
+
+// Adds `{ type, chatId, serverId?, ... }` to the end of the queue
+export function enqueueOp(op) {
+  writes = writes.then(() => putOp({ ...op, queuedAt: Date.now() }));
+  return writes;
+}
+
+// Once the server has created a chat, the ops queued behind it learn its id
+export function assignServerId(chatId, serverId) {
+  writes = writes.then(async () => {
+    for (const op of await readOps()) {
+      if (op.chatId === chatId && !op.serverId) await putOp({ ...op, serverId });
+    }
+  });
+  return writes;
+}
+
+/**
+ * Sends queued operations one at a time through `send(op)`. A rejection
+ * whose error has `retry: false` drops the op and reports it via `onDrop`;
+ * any other failure stops the run and retries it later with exponential
+ * backoff. `onStatus` receives `{ state, pending, retryAt }` where state is
+ * "synced", "syncing", "offline" or "error".
+ */
+export function createSyncRunner({ send, onStatus, onDrop }) {
+  let running = false;
+  let again = false;
+  let stopped = false;
+  let failures = 0;
+  let timer = null;
+
+  const report = async (state, extra = {}) => {
+    if (stopped) return;
+    const pending = (await readOps()).length;
+    onStatus?.({ state, pending, ...extra });
+  };
+
+  async function flush() {
+    if (stopped) return;
+    if (running) {
+      again = true;
+      return;
+    }
+    clearTimeout(timer);
+    timer = null;
+    running = true;
+    again = false;
+    try {
+      for (;;) {
+        const [op] = await readOps();
+        if (!op || stopped) break;
+        await report("syncing");
+        try {
+          await send(op);
+          await deleteOp(op.seq);
+          failures = 0;
+        } catch (err) {
+          if (err.retry === false) {
+            await deleteOp(op.seq);
+            onDrop?.(op, err);
+            continue;
+          }
+          failures += 1;
+          const delay = Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+          timer = setTimeout(flush, delay);
+          const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+          await report(offline || !err.status ? "offline" : "error", {
+            retryAt: Date.now() + delay,
+          });
+          return;
+        }
+      }
+      await report("synced");
+    } finally {
+      running = false;
+      if (again && !timer) {
+        again = false;
+        flush();
+      }
+    }
+  }
+
+  const handleOnline = () => {
+    failures = 0;
+    flush();
+  };
+  window.addEventListener("online", handleOnline);
+
+  return {
+    flush,
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      window.removeEventListener("online", handleOnline);
+    },
+  };
+}
@@ -0,0 +1,166 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectImportFormat, parseImport } from "../utils/chatImport.js";
+import { getActivePath } from "../utils/chatTree.js";
+
+const turns = (conversation) => conversation.messages.map((m) => [m.role, m.content]);
+
+function chatGptConversation(overrides = {}) {
+  return {
+    id: "conv-1",
+    title: "Lisbon",
+    create_time: 1714557600,
+    update_time: 1714561200,
+    current_node: "a2",
+    mapping: {
+      root: { id: "root", message: null, parent: null, children: ["sys"] },
+      sys: {
+        id: "sys",
+        parent: "root",
+        message: { author: { role: "system" }, content: { parts: ["hidden"] } },
+      },
+      u1: {
+        id: "u1",
+        parent: "sys",
+        message: { author: { role: "user" }, content: { parts: ["Plan Lisbon"] }, create_time: 1 },
+      },
+      a1: {
+        id: "a1",
+        parent: "u1",
+        message: { author: { role: "assistant" }, content: { parts: ["Day 1"] }, create_time: 2 },
+      },
+      a2: {
+        id: "a2",
+        parent: "u1",
+        message: { author: { role: "assistant" }, content: { parts: ["Day one"] }, create_time: 3 },
+      },
+    },
+    ...overrides,
+  };
+}
+
+test("detectImportFormat tells the formats apart", () => {
+  assert.equal(detectImportFormat(JSON.stringify([chatGptConversation()])), "chatgpt");
+  assert.equal(detectImportFormat('{"messages":[]}'), "json");
+  assert.equal(detectImportFormat("User: hi"), "markdown");
+  assert.equal(detectImportFormat("[not json"), "markdown");
+});
+
+test("ChatGPT exports keep branches and the current node", () => {
+  const { conversations, errors } = parseImport(JSON.stringify([chatGptConversation()]));
+  assert.deepEqual(errors, []);
+  const [conversation] = conversations;
+  assert.equal(conversation.title, "Lisbon");
+  assert.deepEqual(turns(conversation), [
+    ["user", "Plan Lisbon"],
+    ["assistant", "Day 1"],
+    ["assistant", "Day one"],
+  ]);
+  // The skipped system message doesn't break the chain
+  assert.equal(conversation.messages[0].parentId, null);
+  assert.equal(conversation.activeLeafId, "a2");
+  assert.deepEqual(
+    getActivePath(conversation.messages, conversation.activeLeafId).map((m) => m.id),
+    ["u1", "a2"],
+  );
+});
+
+test("one bad conversation doesn't sink the file", () => {
+  const input = JSON.stringify([chatGptConversation(), { title: "Broken" }]);
+  const { conversations, errors } = parseImport(input, "chatgpt");
+  assert.equal(conversations.length, 1);
+  assert.deepEqual(errors, [{ index: 1, title: "Broken", error: "Missing conversation mapping" }]);
+});
+
+test("JSON imports without ids become a simple thread", () => {
+  const input = JSON.stringify({
+    title: "Trip",
+    messages: [
+      { role: "system", content: "ignored" },
+      { role: "human", content: "hi" },
+      { role: "ai", content: "hello" },
+    ],
+  });
+  const [conversation] = parseImport(input).conversations;
+  assert.deepEqual(turns(conversation), [
+    ["user", "hi"],
+    ["assistant", "hello"],
+  ]);
+  assert.equal(conversation.messages[1].parentId, conversation.messages[0].id);
+});
+
+test("JSON imports reject unknown roles", () => {
+  const input = JSON.stringify({ messages: [{ role: "narrator", content: "Once" }] });
+  const { errors } = parseImport(input);
+  assert.match(errors[0].error, /unknown role "narrator"/);
+});
+
+test("markdown exports split on the speaker headings", () => {
+  const input = [
+    "# Lisbon trip",
+    "",
+    "### You · 2024-05-01 10:00 UTC",
+    "Plan three days",
+    "",
+    "AI: this stays in the message",
+    "",
+    "### Wowziri · 2024-05-01 10:01 UTC",
+    "Day 1: Alfama",
+  ].join("\n");
+  const [conversation] = parseImport(input).conversations;
+  assert.equal(conversation.title, "Lisbon trip");
+  assert.deepEqual(turns(conversation), [
+    ["user", "Plan three days\n\nAI: this stays in the message"],
+    ["assistant", "Day 1: Alfama"],
+  ]);
+  assert.equal(conversation.messages[0].createdAt.toISOString(), "2024-05-01T10:00:00.000Z");
+});
+
+test("markdown speaker prefixes only start a turn at a paragraph", () => {
+  const input = "You: hello\nAI: not a new turn\n\nAI: answer\nYou: still the answer";
+  const [conversation] = parseImport(input, "markdown").conversations;
+  assert.deepEqual(turns(conversation), [
+    ["user", "hello\nAI: not a new turn"],
+    ["assistant", "answer\nYou: still the answer"],
+  ]);
+});
+
+test("a transcript without turns is reported, not thrown", () => {
+  const { conversations, errors } = parseImport("just some notes", "markdown");
+  assert.equal(conversations.length, 0);
+  assert.equal(errors.length, 1);
+});
+
+test("source keys are stable and fit in a clientId", () => {
+  const input = JSON.stringify([chatGptConversation()]);
+  const first = parseImport(input).conversations[0].sourceKey;
+  assert.equal(parseImport(input).conversations[0].sourceKey, first);
+  assert.ok(first.length <= 64);
+  // Keyed on the conversation id, so a later export of the same chat matches
+  const continued = chatGptConversation({ title: "Lisbon, again" });
+  assert.equal(parseImport(JSON.stringify([continued])).conversations[0].sourceKey, first);
+});
+
+test("conversations without an id are keyed on their content", () => {
+  const withoutId = (content) =>
+    chatGptConversation({
+      id: undefined,
+      mapping: {
+        u1: { id: "u1", message: { author: { role: "user" }, content: { parts: [content] } } },
+      },
+      current_node: "u1",
+    });
+  const key = (conversation) =>
+    parseImport(JSON.stringify([conversation]), "chatgpt").conversations[0].sourceKey;
+  assert.equal(key(withoutId("hi")), key(withoutId("hi")));
+  assert.notEqual(key(withoutId("hi")), key(withoutId("hello")));
+
+  const markdown = (text) => parseImport(text, "markdown").conversations[0].sourceKey;
+  assert.equal(markdown("You: hi"), markdown("You: hi"));
+  assert.notEqual(markdown("You: hi"), markdown("You: hello"));
+});
+
+test("unsupported formats and bad JSON throw", () => {
+  assert.throws(() => parseImport("{}", "csv"), /Unsupported format/);
+  assert.throws(() => parseImport("{oops", "json"), /not valid JSON/);
+});
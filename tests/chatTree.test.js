@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getActivePath,
+  getLatestLeaf,
+  getSubtreeIds,
+  mergePath,
+  mergeTrees,
+  normalizeTree,
+} from "../utils/chatTree.js";
+
+// u1 ─ a1 ─ u2 ─ a2
+//         └ u3 (an edit of u2)
+const tree = [
+  { id: "u1", parentId: null, role: "user", content: "Plan a trip" },
+  { id: "a1", parentId: "u1", role: "assistant", content: "Where to?" },
+  { id: "u2", parentId: "a1", role: "user", content: "Lisbon" },
+  { id: "a2", parentId: "u2", role: "assistant", content: "Great choice" },
+  { id: "u3", parentId: "a1", role: "user", content: "Porto" },
+];
+
+const ids = (nodes) => nodes.map((node) => node.id);
+
+test("normalizeTree chains messages saved before trees existed", () => {
+  const normalized = normalizeTree([
+    { role: "user", content: "hi" },
+    { role: "assistant", content: "hello" },
+  ]);
+  assert.deepEqual(
+    normalized.map(({ id, parentId }) => ({ id, parentId })),
+    [
+      { id: "m-0", parentId: null },
+      { id: "m-1", parentId: "m-0" },
+    ],
+  );
+});
+
+test("normalizeTree keeps explicit ids and parents", () => {
+  assert.deepEqual(normalizeTree(tree), tree);
+});
+
+test("getActivePath walks from the root to the leaf", () => {
+  assert.deepEqual(ids(getActivePath(tree, "a2")), ["u1", "a1", "u2", "a2"]);
+  assert.deepEqual(ids(getActivePath(tree, "u3")), ["u1", "a1", "u3"]);
+});
+
+test("getActivePath falls back to the newest message for an unknown leaf", () => {
+  assert.deepEqual(ids(getActivePath(tree, "missing")), ["u1", "a1", "u3"]);
+  assert.deepEqual(getActivePath([], "u1"), []);
+});
+
+test("getActivePath stops on a parent cycle", () => {
+  const cyclic = [
+    { id: "x", parentId: "y" },
+    { id: "y", parentId: "x" },
+  ];
+  assert.ok(getActivePath(cyclic, "x").length <= cyclic.length + 1);
+});
+
+test("getLatestLeaf follows the newest child", () => {
+  assert.equal(getLatestLeaf(tree, "a1").id, "u3");
+  assert.equal(getLatestLeaf(tree, "u2").id, "a2");
+  assert.equal(getLatestLeaf(tree, "missing"), null);
+});
+
+test("getSubtreeIds lists a node and everything below it", () => {
+  assert.deepEqual(getSubtreeIds(tree, "a1").sort(), ["a1", "a2", "u2", "u3"]);
+});
+
+test("mergePath relinks the path and leaves other branches alone", () => {
+  const merged = mergePath(tree, [
+    { id: "u1", role: "user", content: "Plan a trip" },
+    { id: "a1", role: "assistant", content: "Where to?" },
+    { id: "u3", role: "user", content: "Porto" },
+    { id: "a3", role: "assistant", content: "Lovely" },
+  ]);
+  assert.equal(merged.length, tree.length + 1);
+  assert.deepEqual(merged.at(-1), {
+    id: "a3",
+    parentId: "u3",
+    role: "assistant",
+    content: "Lovely",
+  });
+  assert.deepEqual(ids(getActivePath(merged, "a2")), ["u1", "a1", "u2", "a2"]);
+});
+
+test("mergeTrees keeps primary nodes and adds what only secondary has", () => {
+  const primary = tree.slice(0, 3);
+  const secondary = [tree[0], tree[1], tree[4]];
+  assert.deepEqual(ids(mergeTrees(primary, secondary)), ["u1", "a1", "u2", "u3"]);
+});
+
+test("mergeTrees lets the later edit win", () => {
+  const older = { ...tree[2], content: "Lisbon", updatedAt: "2024-05-01T10:00:00Z" };
+  const newer = { ...tree[2], content: "Lisbon in May", updatedAt: "2024-05-01T11:00:00Z" };
+  assert.equal(mergeTrees([older], [newer])[0].content, "Lisbon in May");
+  assert.equal(mergeTrees([newer], [older])[0].content, "Lisbon in May");
+  // An edit beats a copy that was never edited, from either side
+  assert.equal(mergeTrees([tree[2]], [newer])[0].content, "Lisbon in May");
+});
+
+test("mergeTrees prefers primary on a tie", () => {
+  const mine = { ...tree[2], content: "mine" };
+  const theirs = { ...tree[2], content: "theirs" };
+  assert.equal(mergeTrees([mine], [theirs])[0].content, "mine");
+});
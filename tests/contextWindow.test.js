@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { estimateTokens, fitContextWindow } from "../utils/contextWindow.js";
+
+// 40 characters is 10 tokens, plus 4 for the role markers
+const turn = (id, role) => ({ id, role, content: `${id} `.padEnd(40, "x") });
+const history = [
+  turn("u1", "user"),
+  turn("a1", "assistant"),
+  turn("u2", "user"),
+  turn("a2", "assistant"),
+  turn("u3", "user"),
+];
+const ids = (turns) => turns.map((t) => t.id);
+
+function fakeProvider(reply) {
+  const calls = [];
+  return {
+    calls,
+    async *streamChat(request) {
+      calls.push(request);
+      if (reply instanceof Error) throw reply;
+      yield { type: "text", text: reply };
+    },
+  };
+}
+
+test("estimateTokens counts about four characters per token", () => {
+  assert.equal(estimateTokens(""), 0);
+  assert.equal(estimateTokens("abcde"), 2);
+});
+
+test("a history under budget is sent as is", async () => {
+  const result = await fitContextWindow({ turns: history, budget: 1000 });
+  assert.deepEqual(ids(result.turns), ids(history));
+  assert.equal(result.summaryChanged, false);
+});
+
+test("without summaries the oldest turns are dropped down to the budget", async () => {
+  const result = await fitContextWindow({ turns: history, budget: 42 });
+  assert.deepEqual(ids(result.turns), ["u2", "a2", "u3"]);
+  assert.equal(result.summary, null);
+
+  // Histories start with a user turn, even if that leaves room unused
+  const tight = await fitContextWindow({ turns: history, budget: 30 });
+  assert.deepEqual(ids(tight.turns), ["u3"]);
+  const uneven = await fitContextWindow({ turns: history, budget: 56 });
+  assert.deepEqual(ids(uneven.turns), ["u2", "a2", "u3"]);
+});
+
+test("the latest user turn is always kept", async () => {
+  const result = await fitContextWindow({ turns: history, budget: 1 });
+  assert.deepEqual(ids(result.turns), ["u3"]);
+});
+
+test("dropped turns are folded into a summary when allowed", async () => {
+  const provider = fakeProvider("They want Lisbon.");
+  const result = await fitContextWindow({
+    provider,
+    turns: history,
+    budget: 56,
+    canSummarize: true,
+  });
+  // Trimmed to half the budget, so the next summary is a few turns away
+  assert.deepEqual(ids(result.turns), ["u3"]);
+  assert.equal(result.summaryChanged, true);
+  assert.deepEqual(result.summary, {
+    text: "They want Lisbon.",
+    messageCount: 4,
+    lastMessageId: "a2",
+  });
+  assert.match(provider.calls[0].messages[0].content, /u1/);
+});
+
+test("a stored summary replaces the turns it covers", async () => {
+  const summary = { text: "Short", messageCount: 2, lastMessageId: "a1" };
+  const result = await fitContextWindow({ turns: history, summary, budget: 1000 });
+  assert.deepEqual(ids(result.turns), ["u2", "a2", "u3"]);
+  assert.equal(result.summary, summary);
+});
+
+test("a summary from another branch is ignored", async () => {
+  const summary = { text: "Other branch", messageCount: 2, lastMessageId: "elsewhere" };
+  const result = await fitContextWindow({ turns: history, summary, budget: 1000 });
+  assert.deepEqual(ids(result.turns), ids(history));
+  assert.equal(result.summary, null);
+});
+
+test("a failed summary falls back to dropping turns", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const result = await fitContextWindow({
+    provider: fakeProvider(new Error("quota")),
+    turns: history,
+    budget: 56,
+    canSummarize: true,
+  });
+  assert.deepEqual(ids(result.turns), ["u3"]);
+  assert.equal(result.summaryChanged, false);
+});
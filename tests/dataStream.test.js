@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  encodeDataStream,
+  formatErrorPart,
+  formatTextPart,
+  startStream,
+} from "../utils/dataStream.js";
+
+async function collect(frames) {
+  const out = [];
+  for await (const frame of frames) out.push(frame);
+  return out;
+}
+
+async function* events(list, failure) {
+  for (const event of list) yield event;
+  if (failure) throw failure;
+}
+
+const finish = { type: "finish", finishReason: "stop", usage: { promptTokens: 3 } };
+
+test("text frames survive quotes, newlines and control characters", () => {
+  const text = 'He said "hi"\n\tand left\\';
+  const frame = formatTextPart(text);
+  assert.ok(frame.endsWith("\n"));
+  assert.equal(frame.slice(0, -1).split("\n").length, 1);
+  assert.equal(JSON.parse(frame.slice(2)), text);
+});
+
+test("error frames carry the JSON body a failed request would have", () => {
+  const frame = formatErrorPart({ error: "Boom", details: "quota" });
+  assert.deepEqual(JSON.parse(JSON.parse(frame.slice(2))), { error: "Boom", details: "quota" });
+});
+
+test("events become text frames and a finish frame", async () => {
+  const texts = [];
+  const frames = await collect(
+    encodeDataStream(events([{ type: "text", text: "Hi" }, finish]), {
+      onText: (text) => texts.push(text),
+    }),
+  );
+  assert.deepEqual(frames, [
+    '0:"Hi"\n',
+    'd:{"finishReason":"stop","usage":{"promptTokens":3,"completionTokens":0}}\n',
+  ]);
+  assert.deepEqual(texts, ["Hi"]);
+});
+
+test("a provider failure mid-stream ends with an error frame", async () => {
+  let reported;
+  const frames = await collect(
+    encodeDataStream(events([{ type: "text", text: "Hi" }], new Error("reset")), {
+      onError: (err) => {
+        reported = err;
+      },
+    }),
+  );
+  assert.equal(frames.length, 2);
+  assert.match(frames[1], /^3:/);
+  assert.match(frames[1], /reset/);
+  assert.equal(reported.message, "reset");
+});
+
+test("an aborted stream finishes with reason other", async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const frames = await collect(
+    encodeDataStream(events([], new Error("aborted")), { signal: controller.signal }),
+  );
+  assert.equal(frames.length, 1);
+  assert.equal(JSON.parse(frames[0].slice(2)).finishReason, "other");
+});
+
+test("startStream surfaces a failure before anything is sent", async () => {
+  await assert.rejects(startStream(events([], new Error("bad key"))), /bad key/);
+});
+
+test("startStream replays the first event", async () => {
+  const replayed = await collect(await startStream(events([{ type: "text", text: "a" }, finish])));
+  assert.deepEqual(replayed, [{ type: "text", text: "a" }, finish]);
+});
@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSnippet, buildTermPattern, getSearchTerms } from "../utils/searchSnippet.js";
+
+const highlighted = ({ snippet, highlights }) =>
+  highlights.map(([from, to]) => snippet.slice(from, to));
+
+test("getSearchTerms drops negated words and phrase quotes", () => {
+  assert.deepEqual(getSearchTerms('"Lisbon trip" -budget Food'), ["lisbon", "trip", "food"]);
+  assert.deepEqual(getSearchTerms("   "), []);
+});
+
+test("buildTermPattern matches inflected words", () => {
+  const pattern = buildTermPattern(getSearchTerms("itineraries"));
+  assert.match("Here is your itinerary", pattern);
+  assert.equal(buildTermPattern([]), null);
+});
+
+test("buildTermPattern escapes regex characters", () => {
+  const pattern = buildTermPattern(["c++"]);
+  assert.doesNotThrow(() => "c++ notes".match(pattern));
+});
+
+test("buildSnippet highlights every match in the window", () => {
+  const pattern = buildTermPattern(["lisbon"]);
+  const result = buildSnippet("Lisbon in May, then back to Lisbon", pattern);
+  assert.equal(result.snippet, "Lisbon in May, then back to Lisbon");
+  assert.deepEqual(highlighted(result), ["Lisbon", "Lisbon"]);
+});
+
+test("buildSnippet trims long text at word boundaries", () => {
+  const text = `${"early words ".repeat(20)}the Lisbon part ${"late words ".repeat(20)}`;
+  const result = buildSnippet(text, buildTermPattern(["lisbon"]), { radius: 10 });
+  assert.ok(result.snippet.startsWith("…"));
+  assert.ok(result.snippet.endsWith("…"));
+  // No half words at either end
+  assert.match(result.snippet, /^…(early|words|the) /);
+  assert.match(result.snippet, / (late|words|part)…$/);
+  assert.deepEqual(highlighted(result), ["Lisbon"]);
+});
+
+test("buildSnippet returns null without a match", () => {
+  assert.equal(buildSnippet("Porto", buildTermPattern(["lisbon"])), null);
+  assert.equal(buildSnippet("Porto", null), null);
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import {
+  describeDevice,
+  hashToken,
+  isSessionRevoked,
+  rotateSession,
+} from "../utils/sessions.js";
+
+// No database here: the Session model's queries are stubbed per test
+const sessionId = new mongoose.Types.ObjectId().toString();
+const userId = new mongoose.Types.ObjectId().toString();
+const req = { get: () => "Mozilla/5.0 (Windows NT 10.0) Firefox/126.0", ip: "203.0.113.7" };
+const rotate = (token = "old") =>
+  rotateSession({ sessionId, userId, token, nextToken: "new", req });
+
+const lean = (value) => ({ lean: async () => value, select: () => lean(value) });
+
+function stubSessions(t, { rotated = null, stored = null } = {}) {
+  const updates = [];
+  t.mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+    updates.push({ filter, update });
+    return rotated;
+  });
+  t.mock.method(Session, "findOne", () => lean(stored));
+  t.mock.method(Session, "find", () => lean(stored ? [{ _id: stored._id }] : []));
+  t.mock.method(Session, "updateMany", async (filter, update) => {
+    updates.push({ filter, update });
+  });
+  return updates;
+}
+
+test("a current token is rotated", async (t) => {
+  const updates = stubSessions(t, { rotated: { _id: sessionId } });
+  assert.equal(await rotate(), "rotated");
+  const [{ filter, update }] = updates;
+  assert.equal(filter.tokenHash, hashToken("old"));
+  assert.equal(update.$set.tokenHash, hashToken("new"));
+  assert.equal(update.$set.previousTokenHash, hashToken("old"));
+  assert.equal(update.$set.device, "Firefox on Windows");
+});
+
+test("the previous token is let through just after a rotation", async (t) => {
+  stubSessions(t, {
+    stored: {
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60_000),
+      previousTokenHash: hashToken("old"),
+      rotatedAt: new Date(Date.now() - 2_000),
+    },
+  });
+  assert.equal(await rotate(), "grace");
+});
+
+test("an old token past the grace period revokes the session", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const updates = stubSessions(t, {
+    stored: {
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60_000),
+      previousTokenHash: hashToken("old"),
+      rotatedAt: new Date(Date.now() - 60_000),
+    },
+  });
+  assert.equal(await rotate(), "reused");
+  const revoke = updates.find(({ update }) => update.$set?.revokedReason);
+  assert.equal(revoke.update.$set.revokedReason, "reuse");
+  assert.ok(isSessionRevoked(sessionId));
+});
+
+test("a token the session never had counts as reuse too", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  stubSessions(t, {
+    stored: {
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60_000),
+      previousTokenHash: hashToken("other"),
+      rotatedAt: new Date(),
+    },
+  });
+  assert.equal(await rotate("stolen"), "reused");
+});
+
+test("revoked, expired and unknown sessions are invalid", async (t) => {
+  const revoked = { _id: sessionId, revokedAt: new Date(), expiresAt: new Date(Date.now() + 1) };
+  const expired = { _id: sessionId, revokedAt: null, expiresAt: new Date(Date.now() - 1) };
+  for (const stored of [revoked, expired, null]) {
+    await t.test(String(stored && Object.keys(stored)), async (t) => {
+      stubSessions(t, { stored });
+      assert.equal(await rotate(), "invalid");
+    });
+  }
+  assert.equal(
+    await rotateSession({ sessionId: "nope", userId, token: "old", nextToken: "new", req }),
+    "invalid",
+  );
+});
+
+test("describeDevice names the browser and system", () => {
+  const edge = "Mozilla/5.0 (Windows NT 10.0) Chrome/125.0 Safari/537.36 Edg/125.0";
+  assert.equal(describeDevice(edge), "Edge on Windows");
+  assert.equal(describeDevice("Mozilla/5.0 (iPhone) Version/17.0 Safari/604.1"), "Safari on iOS");
+  assert.equal(describeDevice(""), "Unknown device");
+});
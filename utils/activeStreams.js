@@ -0,0 +1,102 @@
+import crypto from "crypto";
+
+// In-flight generations on this server instance, keyed by stream id. Every
+// frame written is also kept in memory so a client whose connection dropped
+// can reattach from the last byte it received, and so a generation can be
+// cancelled from a separate request.
+const streams = new Map();
+
+// How long a generation keeps running with nobody attached before it is
+// aborted (the client may just be reconnecting), and how long a finished
+// stream stays available for late resumes.
+const DETACHED_GRACE_MS = 15 * 1000;
+const FINISHED_RETENTION_MS = 60 * 1000;
+
+function notify(entry, event, payload) {
+  for (const subscriber of entry.subscribers) {
+    subscriber[event]?.(payload);
+  }
+}
+
+function scheduleDetachedAbort(entry) {
+  clearTimeout(entry.graceTimer);
+  if (entry.done || entry.subscribers.size > 0) return;
+  entry.graceTimer = setTimeout(() => entry.controller.abort("client disconnected"), DETACHED_GRACE_MS);
+  entry.graceTimer.unref?.();
+}
+
+export function registerStream({ userId = null } = {}) {
+  const id = crypto.randomUUID();
+  const entry = {
+    controller: new AbortController(),
+    userId,
+    chunks: [],
+    length: 0,
+    done: false,
+    subscribers: new Set(),
+    graceTimer: null,
+  };
+  streams.set(id, entry);
+
+  return {
+    id,
+    signal: entry.controller.signal,
+    abort: (reason) => entry.controller.abort(reason),
+    push(frame) {
+      const chunk = Buffer.from(frame, "utf8");
+      entry.chunks.push(chunk);
+      entry.length += chunk.length;
+      notify(entry, "onData", chunk);
+    },
+    end() {
+      if (entry.done) return;
+      entry.done = true;
+      clearTimeout(entry.graceTimer);
+      notify(entry, "onEnd");
+      entry.subscribers.clear();
+      setTimeout(() => streams.delete(id), FINISHED_RETENTION_MS).unref?.();
+    },
+  };
+}
+
+function findStream(id, userId) {
+  const entry = streams.get(id);
+  if (!entry) return null;
+  if (entry.userId && entry.userId !== userId) return null;
+  return entry;
+}
+
+/**
+ * Replays a stream from byte `offset` and then follows it live. Returns an
+ * unsubscribe function, or null when there is no such stream for this caller
+ * or the offset is past what was written. Streams started by a signed-in user
+ * are only visible to that user; anonymous ones to whoever holds the id.
+ */
+export function subscribeStream(id, { userId = null, offset = 0 }, { onData, onEnd }) {
+  const entry = findStream(id, userId);
+  if (!entry || offset > entry.length) return null;
+
+  if (offset < entry.length) {
+    onData(Buffer.concat(entry.chunks).subarray(offset));
+  }
+  if (entry.done) {
+    onEnd();
+    return () => {};
+  }
+
+  const subscriber = { onData, onEnd };
+  entry.subscribers.add(subscriber);
+  clearTimeout(entry.graceTimer);
+  return () => {
+    if (!entry.subscribers.delete(subscriber)) return;
+    scheduleDetachedAbort(entry);
+  };
+}
+
+// Returns false when there is no such generation running for this caller.
+export function cancelStream(id, userId = null) {
+  const entry = findStream(id, userId);
+  if (!entry || entry.done) return false;
+  entry.controller.abort("cancelled");
+  return true;
+}
@@ -0,0 +1,39 @@
+// Live chat changes, fanned out to every event stream a user has open on this
+// server instance (other tabs and devices). Events only say what changed;
+// clients fetch the chat through the regular API when they need more.
+// Instances don't share subscribers, so a deployment with several of them
+// still relies on the clients' periodic pull to catch up.
+
+export const CHAT_EVENT_TYPES = ["created", "updated", "renamed", "deleted"];
+
+const subscribers = new Map();
+
+export function subscribeChatEvents(userId, listener) {
+  const key = String(userId);
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(listener);
+  return () => {
+    const listeners = subscribers.get(key);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) subscribers.delete(key);
+  };
+}
+
+/**
+ * Tells the user's open streams that a chat changed. `type` is one of
+ * CHAT_EVENT_TYPES; `fields` ride along (a new title, the version, whether a
+ * delete was permanent). Never throws, so callers don't need to guard it.
+ */
+export function publishChatEvent(userId, type, chatId, fields = {}) {
+  const listeners = subscribers.get(String(userId));
+  if (!listeners) return;
+  const event = { type, chatId: String(chatId), ...fields, at: new Date().toISOString() };
+  for (const listener of listeners) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error("❌ Chat event listener failed:", err);
+    }
+  }
+}
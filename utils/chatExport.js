@@ -0,0 +1,126 @@
+// Renders a chat for download. Markdown and HTML show the branch currently
+// selected, like the chat view does; JSON keeps the whole message tree so
+// nothing is lost. Shared by the API and the React client, so no Node-only
+// imports here.
+import { getActivePath, normalizeTree } from "./chatTree.js";
+
+const ROLE_LABELS = { user: "You", assistant: "Wowziri", system: "System" };
+
+export const EXPORT_FORMATS = {
+  md: { extension: "md", contentType: "text/markdown; charset=utf-8", render: renderMarkdown },
+  json: { extension: "json", contentType: "application/json; charset=utf-8", render: renderJson },
+  html: { extension: "html", contentType: "text/html; charset=utf-8", render: renderHtml },
+};
+
+function formatTimestamp(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return `${date.toISOString().replace("T", " ").slice(0, 16)} UTC`;
+}
+
+function getVisibleMessages(chat) {
+  return getActivePath(normalizeTree(chat.messages), chat.activeLeafId).filter(
+    (message) => message.role !== "system",
+  );
+}
+
+export function getExportFileName(chat, extension) {
+  const slug =
+    (chat.title || "chat")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "chat";
+  return `${slug}.${extension}`;
+}
+
+export function renderMarkdown(chat) {
+  const lines = [`# ${chat.title || "New Chat"}`, ""];
+  if (chat.createdAt) lines.push(`_Started ${formatTimestamp(chat.createdAt)}_`, "");
+  for (const message of getVisibleMessages(chat)) {
+    const time = formatTimestamp(message.createdAt);
+    lines.push(`### ${ROLE_LABELS[message.role] || message.role}${time ? ` · ${time}` : ""}`, "");
+    lines.push(message.content || (message.interrupted ? "_(reply interrupted)_" : ""), "");
+  }
+  return lines.join("\n");
+}
+
+export function renderJson(chat) {
+  return JSON.stringify(
+    {
+      title: chat.title || "New Chat",
+      createdAt: chat.createdAt,
+      updatedAt: chat.updatedAt,
+      tags: chat.tags ?? [],
+      activeLeafId: chat.activeLeafId ?? null,
+      messages: normalizeTree(chat.messages).map((message) => ({
+        id: message.id,
+        parentId: message.parentId ?? null,
+        role: message.role,
+        content: message.content,
+        createdAt: message.createdAt,
+        ...(message.interrupted ? { interrupted: true } : {}),
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// A standalone page with print styles, so "Print → Save as PDF" gives a clean
+// document.
+export function renderHtml(chat) {
+  const title = escapeHtml(chat.title || "New Chat");
+  const messages = getVisibleMessages(chat)
+    .map((message) => {
+      const time = formatTimestamp(message.createdAt);
+      return [
+        `<section class="message ${escapeHtml(message.role)}">`,
+        `<header><strong>${escapeHtml(ROLE_LABELS[message.role] || message.role)}</strong>`,
+        time ? ` <time>${escapeHtml(time)}</time>` : "",
+        "</header>",
+        `<div class="content">${escapeHtml(message.content)}</div>`,
+        "</section>",
+      ].join("");
+    })
+    .join("\n");
+  const started = formatTimestamp(chat.createdAt);
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 16px; color: #0f172a; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  .meta { color: #6b7280; font-size: 13px; margin-bottom: 24px; }
+  .message { border: 1px solid #e5e7eb; border-radius: 12px; padding: 12px 16px; margin: 12px 0; break-inside: avoid; }
+  .message.user { background: #ecfdf5; border-color: #a7f3d0; }
+  header { font-size: 13px; margin-bottom: 6px; color: #10a37f; }
+  time { color: #6b7280; font-weight: normal; margin-left: 6px; }
+  .content { white-space: pre-wrap; line-height: 1.6; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .message { border-color: #d1d5db; }
+  }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<div class="meta">Exported from Wowziri${started ? ` · started ${escapeHtml(started)}` : ""}</div>
+${messages}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,281 @@
+// Parses chat histories exported from elsewhere into the shape of our Chat
+// documents. Each conversation is parsed on its own so one bad entry doesn't
+// sink the whole file: good ones come back in `conversations`, the rest in
+// `errors` with their index in the file.
+import crypto from "crypto";
+import { normalizeTree } from "./chatTree.js";
+
+export const IMPORT_FORMATS = ["chatgpt", "json", "markdown"];
+export const MAX_IMPORT_CONVERSATIONS = 1000;
+const MAX_MESSAGES = 5000;
+const MAX_ID_LENGTH = 64;
+
+const ROLE_ALIASES = {
+  user: "user",
+  human: "user",
+  me: "user",
+  you: "user",
+  assistant: "assistant",
+  ai: "assistant",
+  bot: "assistant",
+  model: "assistant",
+  wowziri: "assistant",
+  chatgpt: "assistant",
+  gemini: "assistant",
+};
+
+function toRole(value) {
+  return ROLE_ALIASES[String(value || "").trim().toLowerCase()] || null;
+}
+
+// Accepts ISO strings, milliseconds and the Unix seconds ChatGPT uses
+function toDate(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const date =
+    typeof value === "number" ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function toTitle(value) {
+  const title = typeof value === "string" ? value.trim() : "";
+  return title ? title.slice(0, 200) : "Imported chat";
+}
+
+// A stable key for an imported conversation, so importing the same file
+// again finds the chats it already made: the source's own conversation id
+// when it has one, else a hash of the messages.
+function toSourceKey(sourceId, messages) {
+  const source =
+    typeof sourceId === "string" && sourceId
+      ? `id:${sourceId}`
+      : `content:${JSON.stringify(messages.map((message) => [message.role, message.content]))}`;
+  return `import-${crypto.createHash("sha256").update(source).digest("hex").slice(0, 40)}`;
+}
+
+function finish({ sourceId, title, createdAt, updatedAt, messages, activeLeafId }) {
+  if (messages.length === 0) throw new Error("No user or assistant messages found");
+  if (messages.length > MAX_MESSAGES) throw new Error(`More than ${MAX_MESSAGES} messages`);
+  const last = messages[messages.length - 1];
+  return {
+    sourceKey: toSourceKey(sourceId, messages),
+    title: toTitle(title),
+    createdAt: createdAt ?? messages[0].createdAt,
+    updatedAt: updatedAt ?? last.createdAt ?? createdAt,
+    messages,
+    activeLeafId: activeLeafId ?? last.id,
+  };
+}
+
+function textFromParts(content) {
+  if (!content) return "";
+  if (typeof content === "string") return content;
+  if (Array.isArray(content.parts)) {
+    // Images and other attachments come through as objects; keep the text
+    return content.parts.filter((part) => typeof part === "string").join("\n");
+  }
+  return typeof content.text === "string" ? content.text : "";
+}
+
+// ChatGPT's conversations.json stores each conversation as a tree (`mapping`)
+// with edits and regenerations as siblings, much like ours. System, tool and
+// hidden nodes are skipped and their children re-attached to the nearest
+// message that is kept.
+function parseChatGptConversation(conversation) {
+  if (!conversation || typeof conversation.mapping !== "object" || !conversation.mapping) {
+    throw new Error("Missing conversation mapping");
+  }
+  const nodes = conversation.mapping;
+  const kept = new Map();
+  for (const [key, node] of Object.entries(nodes)) {
+    const message = node?.message;
+    const role = toRole(message?.author?.role);
+    const content = textFromParts(message?.content).trim();
+    if (!role || !content || message?.metadata?.is_visually_hidden_from_conversation) continue;
+    kept.set(node.id || key, {
+      id: String(node.id || key).slice(0, MAX_ID_LENGTH),
+      role,
+      content,
+      createdAt: toDate(message.create_time),
+    });
+  }
+
+  const nearestKept = (id) => {
+    const seen = new Set();
+    let current = id;
+    while (current && !seen.has(current)) {
+      if (kept.has(current)) return kept.get(current).id;
+      seen.add(current);
+      current = nodes[current]?.parent;
+    }
+    return null;
+  };
+
+  // Parents before children, oldest first, so the tree reads in order
+  const messages = [...kept.entries()]
+    .map(([key, message]) => ({ ...message, parentId: nearestKept(nodes[key]?.parent) }))
+    .sort((a, b) => (a.createdAt?.getTime() ?? 0) - (b.createdAt?.getTime() ?? 0));
+
+  const sourceId = conversation.id ?? conversation.conversation_id;
+  return finish({
+    sourceId: typeof sourceId === "string" ? `chatgpt:${sourceId}` : undefined,
+    title: conversation.title,
+    createdAt: toDate(conversation.create_time),
+    updatedAt: toDate(conversation.update_time),
+    messages,
+    activeLeafId: nearestKept(conversation.current_node) ?? undefined,
+  });
+}
+
+// Our own JSON export, or anything shaped like { title, messages: [{ role, content }] }
+function parseJsonConversation(conversation) {
+  if (!conversation || !Array.isArray(conversation.messages)) {
+    throw new Error("Expected an object with a messages array");
+  }
+  const hasIds = conversation.messages.every(
+    (message) => typeof message?.id === "string" && message.id.length <= MAX_ID_LENGTH,
+  );
+  const messages = [];
+  conversation.messages.forEach((message, index) => {
+    const role = toRole(message?.role ?? message?.author);
+    const content = typeof message?.content === "string" ? message.content.trim() : "";
+    if (!role) {
+      if (message?.role === "system") return;
+      throw new Error(`Message ${index + 1} has an unknown role "${message?.role}"`);
+    }
+    if (!content) return;
+    messages.push({
+      ...(hasIds ? { id: message.id, parentId: message.parentId ?? null } : {}),
+      role,
+      content,
+      createdAt: toDate(message.createdAt ?? message.timestamp),
+    });
+  });
+  // Without ids (or after dropping messages) fall back to a simple thread
+  const tree =
+    hasIds && messages.length === conversation.messages.length
+      ? messages
+      : normalizeTree(messages.map(({ id, parentId, ...message }) => message));
+
+  return finish({
+    sourceId: typeof conversation.id === "string" ? `json:${conversation.id}` : undefined,
+    title: conversation.title,
+    createdAt: toDate(conversation.createdAt),
+    updatedAt: toDate(conversation.updatedAt),
+    messages: tree,
+    activeLeafId:
+      hasIds && tree === messages && typeof conversation.activeLeafId === "string"
+        ? conversation.activeLeafId
+        : undefined,
+  });
+}
+
+const HEADING = /^#{2,4}\s+\**([A-Za-z]+)\**\s*(?:[·|—-]\s*(.+))?$/;
+const PREFIX = /^\**([A-Za-z]+)\**\s*:\s?(.*)$/;
+
+// Transcripts like our Markdown export ("### You · 2024-05-01 10:00 UTC")
+// or plain "User: ..." / "Assistant: ..." paragraphs. A speaker prefix only
+// starts a turn at the top of a paragraph, and not at all once headings mark
+// the turns, so a "You:" inside a message stays part of it.
+function parseMarkdownTranscript(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  let title;
+  const messages = [];
+  let current = null;
+  let usesHeadings = false;
+  let afterBlank = true;
+
+  const flush = () => {
+    if (current && current.lines.join("\n").trim()) {
+      messages.push({
+        role: current.role,
+        content: current.lines.join("\n").trim(),
+        createdAt: toDate(current.time?.replace(/\s*UTC$/, "Z").replace(" ", "T")),
+      });
+    }
+    current = null;
+  };
+
+  for (const line of lines) {
+    const heading = HEADING.exec(line.trim());
+    const prefix = !heading && !usesHeadings && afterBlank && PREFIX.exec(line);
+    afterBlank = !line.trim();
+    if (!title && !current && /^#\s+/.test(line)) {
+      title = line.replace(/^#\s+/, "");
+    } else if (heading && toRole(heading[1])) {
+      flush();
+      usesHeadings = true;
+      current = { role: toRole(heading[1]), time: heading[2], lines: [] };
+    } else if (prefix && toRole(prefix[1])) {
+      flush();
+      current = { role: toRole(prefix[1]), lines: [prefix[2]] };
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+  flush();
+
+  return finish({ title, messages: normalizeTree(messages) });
+}
+
+export function detectImportFormat(input) {
+  if (typeof input !== "string") {
+    const first = Array.isArray(input) ? input[0] : input;
+    return first && typeof first === "object" && "mapping" in first ? "chatgpt" : "json";
+  }
+  const trimmed = input.trimStart();
+  if (!trimmed.startsWith("[") && !trimmed.startsWith("{")) return "markdown";
+  try {
+    return detectImportFormat(JSON.parse(trimmed));
+  } catch {
+    return "markdown";
+  }
+}
+
+function listConversations(data) {
+  if (Array.isArray(data)) return data;
+  if (Array.isArray(data?.conversations)) return data.conversations;
+  return [data];
+}
+
+/**
+ * Parses an uploaded file (`input` as text) or an already-parsed JSON body.
+ * Throws for input that can't be read at all; otherwise returns
+ * `{ conversations, errors }`.
+ */
+export function parseImport(input, format = detectImportFormat(input)) {
+  if (!IMPORT_FORMATS.includes(format)) throw new Error(`Unsupported format "${format}"`);
+
+  if (format === "markdown") {
+    if (typeof input !== "string") throw new Error("Markdown imports must be sent as text");
+    try {
+      return { conversations: [{ index: 0, ...parseMarkdownTranscript(input) }], errors: [] };
+    } catch (err) {
+      return { conversations: [], errors: [{ index: 0, error: err.message }] };
+    }
+  }
+
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("File is not valid JSON");
+    }
+  }
+  const items = listConversations(data);
+  if (items.length > MAX_IMPORT_CONVERSATIONS) {
+    throw new Error(`At most ${MAX_IMPORT_CONVERSATIONS} conversations can be imported at once`);
+  }
+
+  const parse = format === "chatgpt" ? parseChatGptConversation : parseJsonConversation;
+  const conversations = [];
+  const errors = [];
+  items.forEach((item, index) => {
+    try {
+      conversations.push({ index, ...parse(item) });
+    } catch (err) {
+      errors.push({ index, title: item?.title, error: err.message });
+    }
+  });
+  return { conversations, errors };
+}
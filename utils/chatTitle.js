@@ -0,0 +1,72 @@
+import Chat from "../models/Chat.js";
+import { collectText } from "./llm/index.js";
+import { publishChatEvent } from "./chatEvents.js";
+
+const TITLE_INSTRUCTION = [
+  "You name conversations between a user and Wowziri, an AI travel companion.",
+  "Reply with a short title of at most six words that says what the conversation is about.",
+  "Use the language of the conversation. No quotes, no trailing punctuation, no preamble.",
+].join(" ");
+
+const MAX_TITLE_LENGTH = 80;
+// Each side of the exchange is cut to this many characters in the prompt
+const MAX_EXCERPT_LENGTH = 1500;
+const TITLE_TIMEOUT_MS = 8000;
+
+// Models sometimes wrap the title in quotes, prefix it or add a full stop
+export function cleanTitle(text = "") {
+  const line = text.trim().split("\n")[0] ?? "";
+  const title = line
+    .replace(/^(title|chat title)\s*:\s*/i, "")
+    .replace(/^[#*\s]+|[*\s]+$/g, "")
+    .replace(/^["'“‘]+|["'”’]+$/g, "")
+    .replace(/[.!。]+$/, "")
+    .trim();
+  if (title.length <= MAX_TITLE_LENGTH) return title;
+  return `${title.slice(0, MAX_TITLE_LENGTH).replace(/\s+\S*$/, "")}…`;
+}
+
+// Manual titles are never replaced, and an automatic one is only made once
+export function needsTitle(chat) {
+  return !chat.titleSource || chat.titleSource === "default";
+}
+
+/**
+ * Asks the model for a title for the exchange in `turns` and saves it unless
+ * the chat was renamed (or titled) in the meantime. Returns the new title, or
+ * null when nothing was saved. Never throws: a missing title isn't worth
+ * failing a request over.
+ */
+export async function autoTitleChat({ provider, chatId, userId, turns }) {
+  const transcript = turns
+    .filter((turn) => turn.content)
+    .slice(0, 2)
+    .map((turn) => {
+      const speaker = turn.role === "assistant" ? "Wowziri" : "User";
+      return `${speaker}: ${turn.content.slice(0, MAX_EXCERPT_LENGTH)}`;
+    })
+    .join("\n\n");
+  if (!transcript) return null;
+
+  try {
+    const text = await collectText(provider, {
+      system: TITLE_INSTRUCTION,
+      messages: [{ role: "user", content: transcript }],
+      signal: AbortSignal.timeout(TITLE_TIMEOUT_MS),
+    });
+    const title = cleanTitle(text);
+    if (!title) return null;
+
+    const result = await Chat.updateOne(
+      { _id: chatId, userId, titleSource: { $nin: ["auto", "manual"] } },
+      { $set: { title, titleSource: "auto" }, $inc: { version: 1 } },
+    );
+    if (result.modifiedCount === 0) return null;
+    publishChatEvent(userId, "renamed", chatId, { title, titleSource: "auto" });
+    console.log(`🏷️ Titled chat ${chatId}: ${title}`);
+    return title;
+  } catch (err) {
+    console.error("❌ Unable to generate chat title:", err.message);
+    return null;
+  }
+}
@@ -0,0 +1,96 @@
+// Helpers for conversation trees. A chat stores every message ever written as
+// a flat list of nodes ({ id, parentId, role, content }); regenerations and
+// edits become siblings under the same parent, and `activeLeafId` picks which
+// branch is shown. Shared by the API and the React client, so no Node-only
+// imports here.
+
+// Fills in ids and parents for messages saved before trees existed: those
+// were a plain list, so each one hangs off the message before it.
+export function normalizeTree(messages = []) {
+  let previousId = null;
+  return messages.map((message, index) => {
+    const id = message.id || `m-${index}`;
+    const parentId = message.parentId !== undefined ? message.parentId : previousId;
+    previousId = id;
+    return { ...message, id, parentId };
+  });
+}
+
+export function findNode(tree, id) {
+  return tree.find((node) => node.id === id) || null;
+}
+
+export function getChildren(tree, parentId) {
+  return tree.filter((node) => (node.parentId ?? null) === (parentId ?? null));
+}
+
+export function getSiblings(tree, node) {
+  return getChildren(tree, node.parentId);
+}
+
+// Follows the most recent child at every level, i.e. where you'd land when
+// switching to a branch.
+export function getLatestLeaf(tree, id) {
+  let node = findNode(tree, id);
+  while (node) {
+    const children = getChildren(tree, node.id);
+    if (children.length === 0) return node;
+    node = children[children.length - 1];
+  }
+  return null;
+}
+
+// `id` plus everything that branches off below it.
+export function getSubtreeIds(tree, id) {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i += 1) {
+    getChildren(tree, ids[i]).forEach((child) => ids.push(child.id));
+  }
+  return ids;
+}
+
+// Messages from the root down to `leafId` (or to the newest message when the
+// leaf is unknown).
+export function getActivePath(tree, leafId) {
+  const byId = new Map(tree.map((node) => [node.id, node]));
+  let node = (leafId && byId.get(leafId)) || tree[tree.length - 1];
+  const path = [];
+  while (node && path.length <= tree.length) {
+    path.unshift(node);
+    node = node.parentId ? byId.get(node.parentId) : null;
+  }
+  return path;
+}
+
+// Upserts a linear path (what the chat view shows) into the tree, linking each
+// message to the one before it. Nodes on other branches are left alone.
+export function mergePath(tree, path) {
+  const next = [...tree];
+  const indexById = new Map(next.map((node, index) => [node.id, index]));
+  path.forEach((message, index) => {
+    const node = { ...message, parentId: index > 0 ? path[index - 1].id : null };
+    if (indexById.has(message.id)) {
+      next[indexById.get(message.id)] = { ...next[indexById.get(message.id)], ...node };
+    } else {
+      indexById.set(message.id, next.length);
+      next.push(node);
+    }
+  });
+  return next;
+}
+
+const editedAt = (node) => (node.updatedAt ? new Date(node.updatedAt).getTime() : 0);
+
+// Union of two copies of the same tree. A node both sides have is the same
+// message, though its content may have been edited since: the copy with the
+// later `updatedAt` wins, and `primary`'s on a tie. `secondary` adds whatever
+// `primary` lacks.
+export function mergeTrees(primary, secondary) {
+  const others = new Map(secondary.map((node) => [node.id, node]));
+  const merged = primary.map((node) => {
+    const other = others.get(node.id);
+    return other && editedAt(other) > editedAt(node) ? other : node;
+  });
+  const known = new Set(primary.map((node) => node.id));
+  return [...merged, ...secondary.filter((node) => !known.has(node.id))];
+}
@@ -0,0 +1,108 @@
+import { collectText } from "./llm/index.js";
+
+// Rough heuristic (~4 characters per token for English text). It only has to
+// be close enough to keep requests under budget, not match the provider exactly.
+export function estimateTokens(text = "") {
+  return Math.ceil(text.length / 4);
+}
+
+function turnTokens(turn) {
+  // Small fixed overhead per message for role markers
+  return estimateTokens(turn.content) + 4;
+}
+
+const SUMMARY_INSTRUCTION = [
+  "You maintain a running summary of a conversation between a user and Wowziri, an AI travel companion.",
+  "Merge the existing summary with the new transcript into one updated summary.",
+  "Keep names, dates, destinations, budgets, preferences, decisions and open questions.",
+  "Write plain prose or short bullet points, at most 250 words, with no preamble.",
+].join(" ");
+
+async function summarize(provider, previousSummary, turns, signal) {
+  const transcript = turns
+    .map((turn) => `${turn.role === "assistant" ? "Wowziri" : "User"}: ${turn.content}`)
+    .join("\n\n");
+  const prompt = [
+    previousSummary ? `Existing summary:\n${previousSummary}` : "Existing summary: (none)",
+    `New transcript:\n${transcript}`,
+  ].join("\n\n");
+  const text = await collectText(provider, {
+    system: SUMMARY_INSTRUCTION,
+    messages: [{ role: "user", content: prompt }],
+    signal,
+  });
+  return text.trim();
+}
+
+/**
+ * Fits a conversation into `budget` tokens.
+ *
+ * `summary` is the rolling summary stored on the chat: `{ text, messageCount,
+ * lastMessageId }`, where `messageCount` is how many leading turns it covers. Those turns
+ * are never resent. When the remaining turns still overflow, the oldest ones are
+ * folded into a new summary (if `canSummarize`) or simply dropped.
+ *
+ * Returns `{ turns, summary, summaryChanged }`.
+ */
+export async function fitContextWindow({
+  provider,
+  turns,
+  summary,
+  budget,
+  canSummarize = false,
+  signal,
+}) {
+  // A summary covering more turns than were sent, or ending on a message that
+  // isn't in this history (another branch), cannot be trusted.
+  const usable =
+    summary?.text &&
+    summary.messageCount < turns.length &&
+    (!summary.lastMessageId || turns[summary.messageCount - 1]?.id === summary.lastMessageId)
+      ? summary
+      : null;
+  const covered = usable ? usable.messageCount : 0;
+  const pending = turns.slice(covered);
+
+  const summaryTokens = usable ? estimateTokens(usable.text) : 0;
+  let total = summaryTokens + pending.reduce((sum, turn) => sum + turnTokens(turn), 0);
+  if (total <= budget) {
+    return { turns: pending, summary: usable, summaryChanged: false };
+  }
+
+  // Trim down to half the budget rather than just under it, so the next
+  // summarization is a few turns away instead of on every request.
+  const target = canSummarize ? Math.floor(budget / 2) : budget;
+  let keepFrom = 0;
+  while (keepFrom < pending.length - 1 && total > target) {
+    total -= turnTokens(pending[keepFrom]);
+    keepFrom += 1;
+  }
+  // Histories must start with a user turn
+  while (keepFrom < pending.length - 1 && pending[keepFrom].role !== "user") {
+    keepFrom += 1;
+  }
+
+  const dropped = pending.slice(0, keepFrom);
+  const kept = pending.slice(keepFrom);
+
+  if (!canSummarize || dropped.length === 0) {
+    return { turns: kept, summary: usable, summaryChanged: false };
+  }
+
+  try {
+    const text = await summarize(provider, usable?.text, dropped, signal);
+    if (!text) throw new Error("Empty summary");
+    return {
+      turns: kept,
+      summary: {
+        text,
+        messageCount: covered + dropped.length,
+        lastMessageId: dropped[dropped.length - 1].id,
+      },
+      summaryChanged: true,
+    };
+  } catch (err) {
+    console.error("❌ Unable to summarize conversation:", err.message);
+    return { turns: kept, summary: usable, summaryChanged: false };
+  }
+}
@@ -0,0 +1,76 @@
+// Encoder for the AI SDK "data stream" protocol that `useChat` reads: one
+// `<code>:<json>\n` frame per line. Values always go through JSON.stringify so
+// quotes, backslashes, tabs and control characters can't break the framing.
+
+export const DATA_STREAM_HEADERS = {
+  "Content-Type": "text/plain; charset=utf-8",
+  "X-Vercel-AI-Data-Stream": "v1",
+  "Cache-Control": "no-cache, no-transform",
+  Connection: "keep-alive",
+  // Stop nginx-style proxies from buffering the whole reply
+  "X-Accel-Buffering": "no",
+};
+
+export function formatTextPart(text) {
+  return `0:${JSON.stringify(text)}\n`;
+}
+
+// `useChat` surfaces the value as `error.message`, so it carries the same JSON
+// body a failed request would have returned.
+export function formatErrorPart({ error, details }) {
+  return `3:${JSON.stringify(JSON.stringify({ error, details }))}\n`;
+}
+
+export function formatFinishPart({ finishReason, usage }) {
+  return `d:${JSON.stringify({
+    finishReason,
+    usage: {
+      promptTokens: usage?.promptTokens ?? 0,
+      completionTokens: usage?.completionTokens ?? 0,
+    },
+  })}\n`;
+}
+
+// Pulls the first provider event before any response is committed, so that
+// upstream failures (bad key, quota, unknown model) can still be answered with
+// a regular JSON error. Resolves to an iterable that replays that event.
+export async function startStream(events) {
+  const first = await events.next();
+  return (async function* replay() {
+    if (first.done) return;
+    yield first.value;
+    yield* events;
+  })();
+}
+
+/**
+ * Maps provider events onto protocol frames. A provider failure mid-stream
+ * becomes an error frame instead of a silently dropped connection; a stream
+ * without a finish frame is how clients recognize a truncated reply. When
+ * `signal` aborts, the generation ends with finish reason "other" instead.
+ */
+export async function* encodeDataStream(events, { signal, onText, onFinish, onError } = {}) {
+  try {
+    for await (const event of events) {
+      if (event.type === "text") {
+        onText?.(event.text);
+        yield formatTextPart(event.text);
+      } else if (event.type === "finish") {
+        onFinish?.(event);
+        yield formatFinishPart(event);
+      }
+    }
+  } catch (err) {
+    if (signal?.aborted) {
+      const event = { finishReason: "other", usage: { promptTokens: 0, completionTokens: 0 } };
+      onFinish?.(event);
+      yield formatFinishPart(event);
+      return;
+    }
+    onError?.(err);
+    yield formatErrorPart({
+      error: "Something went wrong with Wowziri response.",
+      details: err.message,
+    });
+  }
+}
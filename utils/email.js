@@ -26,9 +26,39 @@ export function getTransporter() {
   return transporter;
 }
 
-export async function sendOtpEmail({ to, code }) {
+// Wording for each kind of one-time code
+const OTP_EMAIL_COPY = {
+  verify: {
+    subject: "verification code",
+    title: "Verification Code",
+    heading: "Verify Your Email",
+    intro: "Thanks for signing up! Please use the verification code below to complete your registration and start your journey with us.",
+    label: "Your Verification Code",
+    action: "verify your account",
+  },
+  reset: {
+    subject: "password reset code",
+    title: "Password Reset Code",
+    heading: "Reset Your Password",
+    intro: "We received a request to reset your password. Use the code below to choose a new one.",
+    label: "Your Reset Code",
+    action: "reset your password",
+  },
+  email: {
+    subject: "email confirmation code",
+    title: "Email Confirmation Code",
+    heading: "Confirm Your New Email",
+    intro: "You asked to use this address for your account. Enter the code below to confirm it.",
+    label: "Your Confirmation Code",
+    action: "confirm your new email",
+  },
+};
+
+export async function sendOtpEmail({ to, code, purpose = "verify", expiresInMinutes = 5 }) {
   const appName = "Wowziri";
-  const text = `Your ${appName} verification code is ${code}. It expires in 5 minutes.`;
+  const copy = OTP_EMAIL_COPY[purpose];
+  const expiry = `${expiresInMinutes} minutes`;
+  const text = `Your ${appName} ${copy.subject} is ${code}. It expires in ${expiry}.`;
 
   const html = `
 <!DOCTYPE html>
@@ -36,7 +66,7 @@ export async function sendOtpEmail({ to, code }) {
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${appName} Verification Code</title>
+  <title>${appName} ${copy.title}</title>
 </head>
 <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f7;">
   <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="background-color: #f5f5f7; padding: 40px 20px;">
@@ -61,10 +91,10 @@ export async function sendOtpEmail({ to, code }) {
           <tr>
             <td style="padding: 48px 40px;">
               <h2 style="margin: 0 0 16px 0; color: #1a1a1a; font-size: 24px; font-weight: 600; line-height: 1.3;">
-                Verify Your Email
+                ${copy.heading}
               </h2>
               <p style="margin: 0 0 32px 0; color: #666666; font-size: 16px; line-height: 1.6;">
-                Thanks for signing up! Please use the verification code below to complete your registration and start your journey with us.
+                ${copy.intro}
               </p>
               
               <!-- OTP Code Box -->
@@ -72,7 +102,7 @@ export async function sendOtpEmail({ to, code }) {
                 <tr>
                   <td align="center" style="background: linear-gradient(135deg, #f6f8fc 0%, #eef2f7 100%); border: 2px solid #e1e8ed; border-radius: 12px; padding: 32px 24px;">
                     <p style="margin: 0 0 8px 0; color: #666666; font-size: 13px; font-weight: 500; text-transform: uppercase; letter-spacing: 1px;">
-                      Your Verification Code
+                      ${copy.label}
                     </p>
                     <p style="margin: 0; color: #667eea; font-size: 48px; font-weight: 700; letter-spacing: 8px; font-family: 'Courier New', monospace;">
                       ${code}
@@ -86,7 +116,7 @@ export async function sendOtpEmail({ to, code }) {
                 <tr>
                   <td>
                     <p style="margin: 0; color: #856404; font-size: 14px; line-height: 1.5;">
-                      ⏱️ <strong>This code expires in 5 minutes.</strong> Please enter it soon to verify your account.
+                      ⏱️ <strong>This code expires in ${expiry}.</strong> Please enter it soon to ${copy.action}.
                     </p>
                   </td>
                 </tr>
@@ -132,12 +162,12 @@ export async function sendOtpEmail({ to, code }) {
 </html>
   `.trim();
 
-  console.log(`[Email] Sending OTP to ${to}: ${code}`);
+  console.log(`[Email] Sending ${purpose} code to ${to}`);
   const transport = getTransporter();
   await transport.sendMail({
     from: transport.fromAddress || process.env.APP_EMAIL_FROM || process.env.SMTP_USER,
     to,
-    subject: `${appName} verification code`,
+    subject: `${appName} ${copy.subject}`,
     text,
     html,
   });
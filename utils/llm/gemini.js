@@ -0,0 +1,63 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+const FINISH_REASONS = {
+  STOP: "stop",
+  MAX_TOKENS: "length",
+  SAFETY: "content-filter",
+  RECITATION: "content-filter",
+  BLOCKLIST: "content-filter",
+  PROHIBITED_CONTENT: "content-filter",
+  SPII: "content-filter",
+};
+
+function toGeminiHistory(messages) {
+  const history = messages.map((msg) => ({
+    role: msg.role === "assistant" ? "model" : "user",
+    parts: [{ text: msg.content }],
+  }));
+  // Gemini rejects histories that open with a model turn
+  while (history.length > 0 && history[0].role === "model") {
+    history.shift();
+  }
+  return history;
+}
+
+export function createGeminiProvider({ model, apiKey }) {
+  if (!apiKey) {
+    throw new Error("Missing GEMINI_API_KEY environment variable.");
+  }
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model,
+    async *streamChat({ messages, system, signal }) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        ...(system ? { systemInstruction: system } : {}),
+      });
+      const chat = generativeModel.startChat({
+        history: toGeminiHistory(messages.slice(0, -1)),
+      });
+
+      const lastMessage = messages[messages.length - 1].content;
+      const result = await chat.sendMessageStream(lastMessage, { signal });
+
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield { type: "text", text };
+      }
+
+      const response = await result.response;
+      const usage = response.usageMetadata || {};
+      yield {
+        type: "finish",
+        finishReason: FINISH_REASONS[response.candidates?.[0]?.finishReason] || "other",
+        usage: {
+          promptTokens: usage.promptTokenCount ?? 0,
+          completionTokens: usage.candidatesTokenCount ?? 0,
+        },
+      };
+    },
+  };
+}
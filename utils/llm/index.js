@@ -0,0 +1,78 @@
+import { getLlmConfig } from "../../config/llm.js";
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+import { getActivePath, normalizeTree } from "../chatTree.js";
+
+/*
+ * Every provider exposes the same shape:
+ *
+ *   { name, model, streamChat({ messages, system, signal }) }
+ *
+ * `messages` is an array of { role: "user" | "assistant", content } ending with
+ * the turn to answer. `streamChat` is an async generator yielding
+ * { type: "text", text } chunks followed by a single
+ * { type: "finish", finishReason, usage: { promptTokens, completionTokens } }.
+ */
+
+const factories = {
+  gemini: (config) => createGeminiProvider({ model: config.model, ...config.gemini }),
+  openai: (config) => createOpenAIProvider({ model: config.model, ...config.openai }),
+  mock: (config) => createMockProvider({ model: config.model, ...config.mock }),
+};
+
+let cached;
+
+export function getProvider(env = process.env) {
+  const config = getLlmConfig(env);
+  const key = JSON.stringify(config);
+  if (cached?.key === key) return cached.provider;
+
+  const provider = factories[config.provider](config);
+  cached = { key, provider };
+  return provider;
+}
+
+// Runs a completion to the end and returns the full text, for internal
+// one-shot tasks (summaries, titles) that don't stream to the client.
+export async function collectText(provider, { messages, system, signal }) {
+  let text = "";
+  for await (const event of provider.streamChat({ messages, system, signal })) {
+    if (event.type === "text") text += event.text;
+  }
+  return text;
+}
+
+// Messages with a `parentId` make the list a conversation tree; only the
+// branch that ends in the last message is a history, so siblings (other
+// versions of a turn) are dropped.
+function selectBranch(history) {
+  if (!history.some((msg) => msg.parentId !== undefined)) return history;
+  const tree = normalizeTree(history);
+  // Back to the originals so messages sent without ids don't get made-up ones
+  const indexes = new Map(tree.map((node, index) => [node, index]));
+  return getActivePath(tree, tree.at(-1).id).map((node) => history[indexes.get(node)]);
+}
+
+// Splits incoming chat messages into an optional system instruction and the
+// user/assistant turns the providers expect.
+export function normalizeMessages(messages) {
+  const system = messages
+    .filter((msg) => msg.role === "system" && msg.content)
+    .map((msg) => msg.content)
+    .join("\n\n");
+  const history = messages
+    .filter((msg) => msg.role === "user" || msg.role === "assistant")
+    .map((msg) => ({
+      ...(typeof msg.id === "string" && msg.id ? { id: msg.id.slice(0, 64) } : {}),
+      ...(typeof msg.parentId === "string" || msg.parentId === null
+        ? { parentId: msg.parentId?.slice(0, 64) ?? null }
+        : {}),
+      role: msg.role,
+      content: msg.content,
+    }));
+  const turns = selectBranch(history)
+    // Interrupted replies can be persisted empty; providers reject empty turns
+    .filter((msg) => typeof msg.content === "string" && msg.content);
+  return { system, turns };
+}
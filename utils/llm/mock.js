@@ -0,0 +1,37 @@
+// Deterministic provider for local development and offline tests: no network,
+// and the same conversation always produces the same reply.
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function createMockProvider({ model, delayMs = 0 }) {
+  return {
+    name: "mock",
+    model,
+    async *streamChat({ messages, system, signal }) {
+      const lastMessage = messages[messages.length - 1]?.content || "";
+      const reply = `Mock reply to: ${lastMessage}`;
+
+      for (const piece of reply.match(/\S+\s*/g) || []) {
+        if (delayMs) await sleep(delayMs);
+        if (signal?.aborted) {
+          yield { type: "finish", finishReason: "other", usage: { promptTokens: 0, completionTokens: 0 } };
+          return;
+        }
+        yield { type: "text", text: piece };
+      }
+
+      const prompt = [system || "", ...messages.map((msg) => msg.content)].join(" ");
+      yield {
+        type: "finish",
+        finishReason: "stop",
+        usage: { promptTokens: countWords(prompt), completionTokens: countWords(reply) },
+      };
+    },
+  };
+}
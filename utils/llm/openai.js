@@ -0,0 +1,53 @@
+import OpenAI from "openai";
+
+const FINISH_REASONS = {
+  stop: "stop",
+  length: "length",
+  content_filter: "content-filter",
+  tool_calls: "tool-calls",
+};
+
+export function createOpenAIProvider({ model, apiKey, baseURL }) {
+  if (!apiKey) {
+    throw new Error("Missing OPENAI_API_KEY environment variable.");
+  }
+  const client = new OpenAI({ apiKey, baseURL });
+
+  return {
+    name: "openai",
+    model,
+    async *streamChat({ messages, system, signal }) {
+      const stream = await client.chat.completions.create(
+        {
+          model,
+          stream: true,
+          stream_options: { include_usage: true },
+          messages: [
+            ...(system ? [{ role: "system", content: system }] : []),
+            ...messages.map((msg) => ({ role: msg.role, content: msg.content })),
+          ],
+        },
+        { signal },
+      );
+
+      let finishReason = "other";
+      let usage = { promptTokens: 0, completionTokens: 0 };
+      for await (const chunk of stream) {
+        const choice = chunk.choices?.[0];
+        const text = choice?.delta?.content;
+        if (text) yield { type: "text", text };
+        if (choice?.finish_reason) {
+          finishReason = FINISH_REASONS[choice.finish_reason] || "other";
+        }
+        if (chunk.usage) {
+          usage = {
+            promptTokens: chunk.usage.prompt_tokens ?? 0,
+            completionTokens: chunk.usage.completion_tokens ?? 0,
+          };
+        }
+      }
+
+      yield { type: "finish", finishReason, usage };
+    },
+  };
+}
@@ -0,0 +1,64 @@
+// Builds highlighted snippets for chat search results. MongoDB's text index
+// stems words ("itineraries" finds "itinerary") but doesn't say where the
+// match is, so the terms are located again here with a loose prefix match.
+
+const SNIPPET_RADIUS = 60;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Words from a $search string, minus negated terms and the quotes around
+// phrases.
+export function getSearchTerms(query = "") {
+  return query
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) => word.replace(/"/g, "").toLowerCase())
+    .filter(Boolean);
+}
+
+// Matches any term as the start of a word, trimming a short ending so that
+// plurals and other inflections still line up with what the index matched.
+export function buildTermPattern(terms) {
+  if (terms.length === 0) return null;
+  const stems = terms.map((term) =>
+    escapeRegExp(term.slice(0, term.length - Math.min(3, Math.max(0, term.length - 4)))),
+  );
+  return new RegExp(`\\b(?:${stems.join("|")})\\w*`, "gi");
+}
+
+function findRanges(text, pattern) {
+  pattern.lastIndex = 0;
+  return [...text.matchAll(pattern)].map((match) => [match.index, match.index + match[0].length]);
+}
+
+/**
+ * Cuts a window of `text` around its first match. Returns null when nothing
+ * matches; otherwise `{ snippet, highlights }` where highlights are
+ * [start, end) offsets into the snippet.
+ */
+export function buildSnippet(text = "", pattern, { radius = SNIPPET_RADIUS } = {}) {
+  if (!pattern) return null;
+  const ranges = findRanges(text, pattern);
+  if (ranges.length === 0) return null;
+
+  let start = Math.max(0, ranges[0][0] - radius);
+  let end = Math.min(text.length, ranges[0][1] + radius * 2);
+  // Don't cut words in half
+  if (start > 0) start = text.lastIndexOf(" ", start) + 1;
+  if (end < text.length) {
+    const space = text.indexOf(" ", end);
+    end = space === -1 ? text.length : space;
+  }
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  const highlights = ranges
+    .filter(([from, to]) => from >= start && to <= end)
+    .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]);
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights,
+  };
+}
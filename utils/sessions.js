@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+// Two tabs refreshing at once both send the same cookie; the slower one is
+// let through for this long instead of being taken for a replayed token.
+const REUSE_GRACE_MS = 10 * 1000;
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Access tokens carry no state, so one issued before its session was revoked
+// would work until it expires. This instance refuses them in the meantime.
+const revokedSessionIds = new Set();
+
+function rememberRevoked(sessionId) {
+  const key = String(sessionId);
+  revokedSessionIds.add(key);
+  setTimeout(() => revokedSessionIds.delete(key), ACCESS_TOKEN_TTL_MS).unref();
+}
+
+export function isSessionRevoked(sessionId) {
+  return Boolean(sessionId) && revokedSessionIds.has(String(sessionId));
+}
+
+// Refresh tokens are signed JWTs with a random jti, so a fast hash is enough
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Checked in order: Edge, Opera and Samsung also claim to be Chrome, and
+// everything claims to be Safari.
+const BROWSERS = [
+  [/Edg(A|iOS)?\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/SamsungBrowser\//, "Samsung Internet"],
+  [/Firefox\/|FxiOS\//, "Firefox"],
+  [/Chrome\/|CriOS\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+const SYSTEMS = [
+  [/iPhone|iPad|iPod/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/CrOS/, "ChromeOS"],
+  [/Macintosh|Mac OS X/, "macOS"],
+  [/Linux/, "Linux"],
+];
+
+// A short label like "Firefox on Windows"
+export function describeDevice(userAgent = "") {
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+  if (!browser && !system) return "Unknown device";
+  return system ? `${browser || "Browser"} on ${system}` : browser;
+}
+
+function describeClient(req) {
+  const userAgent = (req.get("user-agent") || "").slice(0, MAX_USER_AGENT_LENGTH);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip || "", lastSeenAt: new Date() };
+}
+
+// `session` is a new Session whose id went into `token`
+export async function saveSession(session, token, req) {
+  session.set(describeClient(req));
+  session.tokenHash = hashToken(token);
+  session.expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await session.save();
+  return session;
+}
+
+// Revokes every live session matching `filter`. Resolves to how many.
+export async function revokeSessions(filter, reason) {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select("_id").lean();
+  if (sessions.length === 0) return 0;
+  const ids = sessions.map((session) => session._id);
+  await Session.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  ids.forEach(rememberRevoked);
+  return ids.length;
+}
+
+/**
+ * Swaps the session's refresh token `token` for `nextToken`. Resolves to
+ * "rotated", "grace" (a concurrent refresh already rotated it; issue an
+ * access token but keep the newer cookie), "reused" (a rotated token came
+ * back, so the session is revoked) or "invalid".
+ */
+export async function rotateSession({ sessionId, userId, token, nextToken, req }) {
+  if (!mongoose.isValidObjectId(sessionId)) return "invalid";
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: sessionId, userId, tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        ...describeClient(req),
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+      },
+    },
+  );
+  if (rotated) return "rotated";
+
+  const session = await Session.findOne({ _id: sessionId, userId }).lean();
+  if (!session || session.revokedAt || session.expiresAt <= now) return "invalid";
+  if (session.previousTokenHash === tokenHash && now - session.rotatedAt < REUSE_GRACE_MS) {
+    return "grace";
+  }
+  // Someone holds an old token: either a thief or the owner after a thief
+  // refreshed first. There's no telling which, so nobody keeps the session.
+  await revokeSessions({ _id: sessionId }, "reuse");
+  console.warn(`🚨 Refresh token reuse on session ${sessionId}; session revoked`);
+  return "reused";
+}
@@ -0,0 +1,47 @@
+export const PERSONA_PROMPT = [
+  "You are Wowziri, a warm and knowledgeable AI travel companion made in Tanzania.",
+  "Help people plan trips, discover places, understand local culture and make the most of wherever they are going.",
+  "Give practical, specific answers: suggest itineraries, budgets, timing and logistics when they are useful, and say so when you are unsure instead of inventing details.",
+  "You can help with general questions too, but keep the same friendly, concise tone.",
+].join(" ");
+
+export const MAX_CHAT_PROMPT_LENGTH = 4000;
+
+function describeUser(user) {
+  if (!user) return "";
+  const lines = [];
+  const firstName = user.fullName?.trim().split(/\s+/)[0];
+  if (firstName) {
+    lines.push(`You are talking with ${firstName}. Address them by name occasionally, not in every reply.`);
+  }
+  const interests = (user.interests || []).map((item) => item.trim()).filter(Boolean);
+  if (interests.length > 0) {
+    lines.push(
+      `Their interests include: ${interests.join(", ")}. Lean on these when suggesting activities or destinations.`,
+    );
+  }
+  return lines.join(" ");
+}
+
+// Builds the system instruction for a turn. The chat-level prompt comes last so
+// that it wins whenever it contradicts the defaults.
+export function buildSystemPrompt({ user, chat, summary } = {}) {
+  const sections = [PERSONA_PROMPT];
+
+  const profile = describeUser(user);
+  if (profile) sections.push(profile);
+
+  if (summary?.text) {
+    sections.push(`Summary of the earlier part of this conversation:
+${summary.text}`);
+  }
+
+  const override = chat?.systemPrompt?.trim();
+  if (override) {
+    sections.push(
+      `Instructions for this conversation (follow these over the defaults above):\n${override.slice(0, MAX_CHAT_PROMPT_LENGTH)}`,
+    );
+  }
+
+  return sections.join("\n\n");
+}
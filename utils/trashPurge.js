@@ -0,0 +1,38 @@
+import Chat from "../models/Chat.js";
+import DeletedChat from "../models/DeletedChat.js";
+import SharedChat from "../models/SharedChat.js";
+import { getPurgeCutoff, getTrashConfig } from "../config/trash.js";
+import { publishChatEvent } from "./chatEvents.js";
+
+// Permanently removes chats that have been in the trash past the retention
+// period, along with their share links, and leaves tombstones for
+// GET /api/chats/changes. Returns how many were deleted.
+export async function purgeExpiredChats(now = new Date()) {
+  const expired = await Chat.find({ deletedAt: { $ne: null, $lte: getPurgeCutoff(now) } })
+    .select("userId")
+    .lean();
+  if (expired.length === 0) return 0;
+  const ids = expired.map((chat) => chat._id);
+  const result = await Chat.deleteMany({ _id: { $in: ids } });
+  await SharedChat.deleteMany({ chatId: { $in: ids } });
+  await DeletedChat.insertMany(expired.map((chat) => ({ chatId: chat._id, userId: chat.userId })));
+  for (const chat of expired) {
+    publishChatEvent(chat.userId, "deleted", chat._id, { permanent: true });
+  }
+  return result.deletedCount;
+}
+
+export function startTrashPurgeJob() {
+  const run = () =>
+    purgeExpiredChats()
+      .then((count) => {
+        if (count > 0) console.log(`🗑️ Purged ${count} chat(s) from the trash`);
+      })
+      .catch((err) => console.error("❌ Trash purge failed:", err));
+
+  run();
+  const timer = setInterval(run, getTrashConfig().purgeIntervalMs);
+  // Don't keep the process alive just for this
+  timer.unref();
+  return () => clearInterval(timer);
+}